@@ -13,7 +13,26 @@ const cors = require('cors');
 
 const app = express();
 const port = 3000;
-const { lockerRouter, authRouter, userRouter, postsRouter, commentsRouter, stationsRouter } = require('./routes');
+const {
+  lockerRouter,
+  authRouter,
+  userRouter,
+  postsRouter,
+  commentsRouter,
+  stationsRouter,
+  reservationsRouter,
+  controllersRouter,
+  rentalsRouter,
+  waitlistsRouter,
+  notificationsRouter,
+  maintenanceTicketsRouter,
+  lostItemsRouter,
+  transfersRouter,
+  linesRouter,
+  sessionsRouter,
+} = require('./routes');
+const { startJobs } = require('./jobs');
+const { startLockerSimulators } = require('./services/lockerController/simulator');
 
 //sequelize.sync({ alter: true });
 // sequelize.sync({ force: true });
@@ -28,6 +47,16 @@ app.use('/users', userRouter);
 app.use('/posts', postsRouter);
 app.use('/comments', commentsRouter);
 app.use('/stations', stationsRouter);
+app.use('/reservations', reservationsRouter);
+app.use('/controllers', controllersRouter);
+app.use('/rentals', rentalsRouter);
+app.use('/waitlists', waitlistsRouter);
+app.use('/notifications', notificationsRouter);
+app.use('/maintenance-tickets', maintenanceTicketsRouter);
+app.use('/lost-items', lostItemsRouter);
+app.use('/transfers', transfersRouter);
+app.use('/lines', linesRouter);
+app.use('/sessions', sessionsRouter);
 
 app.get('/', (req, res) => {
   res.send('<< 네이버 지도앱  or login 화면>>');
@@ -35,6 +64,10 @@ app.get('/', (req, res) => {
 
 app.use((err, req, res, next) => {
   console.error(err);
+  if (err instanceof HttpException && err.code) {
+    res.status(err.status).send({ message: err.message, code: err.code });
+    return;
+  }
   if (err instanceof HttpException) {
     res.status(err.status).send(err.message);
     return;
@@ -43,6 +76,15 @@ app.use((err, req, res, next) => {
     message: 'Internal Error occurred while processing',
   });
 });
-app.listen(port, () => {
-  console.log(`서버가 실행됩니다. http://${process.env.HOST_IP}:${port}`);
-});
+// 테스트에서는 app 만 가져가서 임의의 포트로 띄우고 job 과 시뮬레이터는 실행하지 않는다
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`서버가 실행됩니다. http://${process.env.HOST_IP}:${port}`);
+    startJobs();
+    if (process.env.LOCKER_SIMULATOR === 'true') {
+      startLockerSimulators().catch((err) => console.error(err));
+    }
+  });
+}
+
+module.exports = app;
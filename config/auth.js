@@ -0,0 +1,12 @@
+const { numberEnv } = require('./env');
+
+const authConfig = {
+  // access token 은 짧게 쓰고 refresh token 으로 다시 발급
+  accessTokenExpiresMinutes: numberEnv('ACCESS_TOKEN_EXPIRES_MINUTES', 15),
+  refreshTokenExpiresDays: numberEnv('REFRESH_TOKEN_EXPIRES_DAYS', 14),
+  // 비밀번호 재설정 메일의 링크는 이 시간 동안 한 번만 쓸 수 있다
+  passwordResetTokenExpiresMinutes: numberEnv('PASSWORD_RESET_TOKEN_EXPIRES_MINUTES', 30),
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:5500/front-end/public/reset-password.html',
+};
+
+module.exports = authConfig;
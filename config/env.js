@@ -0,0 +1,16 @@
+// 설정하지 않은 값만 기본값을 쓰고, 0 처럼 falsy 한 값도 그대로 쓴다. 숫자가 아니면 서버를 띄우지 않는다
+function numberEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`${name} 값은 숫자로 입력해주세요. 현재 값: ${value}`);
+  }
+  return number;
+}
+
+module.exports = {
+  numberEnv,
+};
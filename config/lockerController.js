@@ -0,0 +1,11 @@
+const { numberEnv } = require('./env');
+
+const lockerControllerConfig = {
+  heartbeatIntervalSeconds: numberEnv('CONTROLLER_HEARTBEAT_INTERVAL_SECONDS', 30),
+  // 마지막 heartbeat 이후 이 시간이 지나면 사물함 뱅크를 offline 으로 표시
+  heartbeatTimeoutSeconds: numberEnv('CONTROLLER_HEARTBEAT_TIMEOUT_SECONDS', 120),
+  // 시뮬레이터에서 문이 열린 후 다시 닫힐 때까지의 시간
+  simulatorDoorOpenSeconds: numberEnv('SIMULATOR_DOOR_OPEN_SECONDS', 5),
+};
+
+module.exports = lockerControllerConfig;
@@ -0,0 +1,8 @@
+const { numberEnv } = require('./env');
+
+const lostItemConfig = {
+  // 비운 사물함에서 꺼낸 물건을 보관하는 기간(일), 이 기간이 지나면 폐기할 수 있다
+  pickupDays: numberEnv('LOST_ITEM_PICKUP_DAYS', 14),
+};
+
+module.exports = lostItemConfig;
@@ -0,0 +1,21 @@
+const { numberEnv } = require('./env');
+
+const mailConfig = {
+  // console 은 터미널에 출력, file 은 fileDirectory 에 .eml 파일로 저장, smtp 는 실제로 발송
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  // console transport 는 local 모드에서만 링크의 token 을 그대로 출력하고, 그 밖에서는 로그에 남지 않게 가린다
+  consoleShowsTokens: process.env.NODE_ENV === 'local',
+  from: process.env.MAIL_FROM || 'no-reply@subway-lockers.local',
+  fileDirectory: process.env.MAIL_FILE_DIRECTORY || 'mails',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: numberEnv('SMTP_PORT', 587),
+    // true 면 처음부터 TLS 로 연결(465 포트), false 면 서버가 지원할 때 STARTTLS 로 전환
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    timeoutMs: numberEnv('SMTP_TIMEOUT_MS', 10000),
+  },
+};
+
+module.exports = mailConfig;
@@ -0,0 +1,13 @@
+const { numberEnv } = require('./env');
+
+// 역에 따로 등록된 요금표가 없을 때 사용하는 기본 요금 (원)
+const defaultTariff = {
+  baseHours: numberEnv('DEFAULT_BASE_HOURS', 4),
+  baseFee: numberEnv('DEFAULT_BASE_FEE', 2000),
+  hourlyRate: numberEnv('DEFAULT_HOURLY_RATE', 500),
+  dailyCap: numberEnv('DEFAULT_DAILY_CAP', 10000),
+};
+
+module.exports = {
+  defaultTariff,
+};
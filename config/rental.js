@@ -0,0 +1,20 @@
+const { numberEnv } = require('./env');
+
+const rentalConfig = {
+  // 역에 maxRentalHours 가 없을 때 사용하는 최대 대여 시간
+  defaultMaxRentalHours: numberEnv('DEFAULT_MAX_RENTAL_HOURS', 72),
+  // 바로 대여할 때 처음 정하는 반납 예정 시간, 역의 최대 대여 시간까지는 연장할 수 있다
+  standardRentalHours: numberEnv('STANDARD_RENTAL_HOURS', 24),
+  // 반납 예정 시간이 지난 뒤 한 시간마다 붙는 연체료 (원)
+  lateFeePerHour: numberEnv('LATE_FEE_PER_HOUR', 1000),
+  // 반납 예정 시간이 이 시간 이상 지나면 사물함을 관리중으로 바꿔서 직원이 비울 수 있게 한다
+  overdueManagementHours: numberEnv('OVERDUE_MANAGEMENT_HOURS', 72),
+  // 한 유저가 동시에 사용할 수 있는 사물함 수
+  maxActiveRentals: numberEnv('MAX_ACTIVE_RENTALS', 3),
+  // 미납 요금이 있는 유저의 대여를 막을지 여부
+  blockUnpaidFees: process.env.BLOCK_UNPAID_FEES !== 'false',
+  // 연체 중인 대여가 있는 유저의 대여를 막을지 여부
+  blockOverdueRentals: process.env.BLOCK_OVERDUE_RENTALS !== 'false',
+};
+
+module.exports = rentalConfig;
@@ -0,0 +1,8 @@
+const { numberEnv } = require('./env');
+
+const reservationConfig = {
+  // 예약 시작 후 체크인 하지 않으면 예약이 자동으로 취소되는 시간(분)
+  gracePeriodMinutes: numberEnv('RESERVATION_GRACE_MINUTES', 15),
+};
+
+module.exports = reservationConfig;
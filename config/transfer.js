@@ -0,0 +1,8 @@
+const { numberEnv } = require('./env');
+
+const transferConfig = {
+  // 양도 요청을 받은 유저가 수락할 수 있는 시간(시간)
+  expiresHours: numberEnv('TRANSFER_EXPIRES_HOURS', 24),
+};
+
+module.exports = transferConfig;
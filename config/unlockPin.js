@@ -0,0 +1,10 @@
+const { numberEnv } = require('./env');
+
+const unlockPinConfig = {
+  pinLength: 6,
+  // 연속으로 틀릴 수 있는 횟수와 그 이후 사물함이 잠기는 시간(분)
+  maxFailedAttempts: numberEnv('PIN_MAX_FAILED_ATTEMPTS', 5),
+  lockoutMinutes: numberEnv('PIN_LOCKOUT_MINUTES', 15),
+};
+
+module.exports = unlockPinConfig;
@@ -0,0 +1,8 @@
+const { numberEnv } = require('./env');
+
+const waitlistConfig = {
+  // 대기자에게 비워진 사물함을 잡아두는 시간(분), 이 시간 안에 대여하지 않으면 다음 대기자에게 넘어간다
+  holdMinutes: numberEnv('WAITLIST_HOLD_MINUTES', 10),
+};
+
+module.exports = waitlistConfig;
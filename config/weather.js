@@ -0,0 +1,19 @@
+const { numberEnv } = require('./env');
+
+const weatherConfig = {
+  provider: process.env.WEATHER_PROVIDER || 'openweather',
+  // 역마다 날씨를 다시 가져오기 전까지 캐시해 두는 시간
+  cacheTtlSeconds: numberEnv('WEATHER_CACHE_TTL_SECONDS', 600),
+  // 가져오기에 실패한 역은 이 시간 동안 다시 요청하지 않아서 rate limit 에 걸린 provider 를 계속 두드리지 않는다
+  failureCacheTtlSeconds: numberEnv('WEATHER_FAILURE_CACHE_TTL_SECONDS', 60),
+  timeoutMs: numberEnv('WEATHER_TIMEOUT_MS', 3000),
+  // 역 상세 조회에서 보여줄 예보 기간
+  forecastHours: numberEnv('WEATHER_FORECAST_HOURS', 12),
+  forecastCacheTtlSeconds: numberEnv('WEATHER_FORECAST_CACHE_TTL_SECONDS', 1800),
+  // 사물함 추천 기준, 시간당 강수량(mm)과 강수 확률(0~1), 기온(°C)
+  heavyRainMmPerHour: numberEnv('WEATHER_HEAVY_RAIN_MM_PER_HOUR', 5),
+  rainProbability: numberEnv('WEATHER_RAIN_PROBABILITY', 0.5),
+  coldTemperature: numberEnv('WEATHER_COLD_TEMPERATURE', 5),
+};
+
+module.exports = weatherConfig;
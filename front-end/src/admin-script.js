@@ -260,9 +260,11 @@ document.getElementById('makeLockers').addEventListener('submit', async function
   const formData = new FormData(event.target);
   const stationId = Number(formData.get('stationId'));
   const numberLockers = Number(formData.get('numberLockers'));
+  const size = formData.get('size');
   const lockersData = {
     stationId,
     numberLockers,
+    size,
   };
 
   await makeLockers(lockersData);
@@ -415,6 +417,7 @@ document.getElementById('searchLockerId').addEventListener('submit', async funct
       lockerCard.innerHTML = `
         <h3>Locker ID: ${lockerData.id}</h3>
         <p><strong>Status:</strong> ${lockerData.status}</p>
+        <p><strong>Size:</strong> ${lockerData.size}</p>
         <p><strong>Station ID:</strong> ${lockerData.stationId}</p>
         <p><strong> User's ID in using:</strong> ${lockerData.userId}</p>
         <p><strong>Start Date Time:</strong> ${lockerData.startDateTime}</p>
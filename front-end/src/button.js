@@ -67,3 +67,52 @@ function parseJwt(token) {
 
   return JSON.parse(jsonPayload); // JSON 문자열을 객체로 변환합니다.
 }
+
+// access token 이 만료되기 전에 refresh token 으로 다시 발급받는다.
+// 탭이 여러 개면 같은 refresh token 을 동시에 쓰지 않도록 시간을 조금씩 어긋나게 하고,
+// 다른 탭이 먼저 재발급했으면 새 토큰 기준으로 다시 예약한다
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const TOKEN_REFRESH_JITTER_MS = 10 * 1000;
+
+async function refreshAccessToken(scheduledAccessToken) {
+  if (localStorage.getItem('accessToken') !== scheduledAccessToken) {
+    scheduleTokenRefresh();
+    return;
+  }
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/auth/refresh`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+    });
+    if (response.status === 401) {
+      localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+    const data = await response.json();
+    localStorage.setItem('accessToken', data.accessToken);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    scheduleTokenRefresh();
+  } catch (error) {
+    console.error('토큰 재발급 중 오류가 발생했습니다:', error.message);
+  }
+}
+
+function scheduleTokenRefresh() {
+  const accessToken = localStorage.getItem('accessToken');
+  // sign-up 페이지처럼 module 스크립트를 쓰는 페이지에서는 IP_ADDRESS 를 볼 수 없다
+  if (!accessToken || !localStorage.getItem('refreshToken') || typeof IP_ADDRESS === 'undefined') {
+    return;
+  }
+  const delay =
+    parseJwt(accessToken).exp * 1000 - Date.now() - TOKEN_REFRESH_MARGIN_MS + Math.random() * TOKEN_REFRESH_JITTER_MS;
+  setTimeout(() => refreshAccessToken(accessToken), Math.max(delay, 0));
+}
+
+scheduleTokenRefresh();
@@ -1,12 +1,5 @@
 const IP_ADDRESS = 'localhost';
 
-var trainIcon = L.icon({
-  iconUrl: './images/train.png',
-  iconSize: [25, 25], // Adjust the size as needed
-  iconAnchor: [19, 25], // Adjust the anchor point as needed
-  popupAnchor: [0, -25],
-});
-
 var map = L.map('map').setView([37.5665, 126.978], 11); // Seoul's center coordinates
 
 var tile = L.tileLayer('http://{s}.tile.osm.org/{z}/{x}/{y}.png', {
@@ -14,13 +7,57 @@ var tile = L.tileLayer('http://{s}.tile.osm.org/{z}/{x}/{y}.png', {
   maxZoom: 18,
 }).addTo(map);
 var markers = new Array();
+// 역 id 별로 처음 연결된 노선의 색, 환승역은 먼저 그린 노선의 색을 사용
+var stationLineColors = {};
+
+// 빈 사물함 비율에 따라 역 마커 테두리 색을 정한다
+function stationFullnessColor(availability) {
+  if (availability.total === 0) {
+    return 'gray';
+  }
+  const freeRatio = availability.unoccupied / availability.total;
+  if (freeRatio === 0) {
+    return 'red';
+  }
+  if (freeRatio < 0.3) {
+    return 'orange';
+  }
+  return 'green';
+}
+
+function stationMarkerColor(station) {
+  if (document.getElementById('markerColorMode').value === 'line') {
+    return stationLineColors[station.id] || 'gray';
+  }
+  return stationFullnessColor(station.availability);
+}
+
+function stationIcon(station) {
+  return L.divIcon({
+    className: 'station-marker',
+    html: `<img src="./images/train.png" style="border-color: ${stationMarkerColor(station)}">`,
+    iconSize: [25, 25], // Adjust the size as needed
+    iconAnchor: [19, 25], // Adjust the anchor point as needed
+    popupAnchor: [0, -25],
+  });
+}
 
 L.svg().addTo(map);
 
+// 역 이름이나 날씨 설명처럼 서버에서 받은 글자를 innerHTML 과 tooltip 에 넣기 전에 HTML 로 해석되지 않게 바꾼다
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Function to fetch and display stations
 async function fetchAndDisplayStations() {
   try {
-    const response = await fetch(`http://${IP_ADDRESS}:3000/stations`);
+    const response = await fetch(`http://${IP_ADDRESS}:3000/stations/availability`);
     const contentType = response.headers.get('Content-Type');
     if (!response.ok && contentType && contentType.includes('application/json')) {
       const errData = await response.json();
@@ -32,21 +69,64 @@ async function fetchAndDisplayStations() {
     }
     const stations = await response.json();
     stations.forEach((station) => {
-      var marker = L.marker([station.latitude, station.longitude], { icon: trainIcon })
+      const { availability } = station;
+      var marker = L.marker([station.latitude, station.longitude], { icon: stationIcon(station) })
+        .bindTooltip(`${escapeHtml(station.name)} 빈 사물함 ${availability.unoccupied} / ${availability.total}`)
         .addTo(map)
         .on('click', function () {
           fetchStationDetails(station.id);
         });
+      markers.push({ station, marker });
     });
   } catch (error) {
     console.error('역 데이터를 가져오는 중 오류가 발생했습니다:', error.message);
   }
 }
 
+function recolorStationMarkers() {
+  markers.forEach(({ station, marker }) => marker.setIcon(stationIcon(station)));
+}
+
+// 노선마다 역을 순서대로 이어서 노선 색으로 선을 그린다
+async function fetchAndDisplayLines() {
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/lines`);
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+    const lines = await response.json();
+
+    for (const line of lines) {
+      const lineResponse = await fetch(`http://${IP_ADDRESS}:3000/lines/${line.id}/stations`);
+      if (!lineResponse.ok) {
+        throw new Error(await lineResponse.text());
+      }
+      const { stations } = await lineResponse.json();
+      L.polyline(
+        stations.map((station) => [station.latitude, station.longitude]),
+        { color: line.color, weight: 4, opacity: 0.7 },
+      )
+        .bindTooltip(escapeHtml(line.name))
+        .addTo(map);
+      stations.forEach((station) => {
+        if (!stationLineColors[station.id]) {
+          stationLineColors[station.id] = line.color;
+        }
+      });
+    }
+    recolorStationMarkers();
+  } catch (error) {
+    console.error('노선 데이터를 가져오는 중 오류가 발생했습니다:', error.message);
+  }
+}
+
+document.getElementById('markerColorMode').addEventListener('change', recolorStationMarkers);
+
 // Function to fetch station details
-async function fetchStationDetails(stationId) {
+async function fetchStationDetails(stationId, size) {
   try {
-    const response = await fetch(`http://${IP_ADDRESS}:3000/stations/${stationId}`);
+    const query = size ? `?size=${size}&available=true` : '';
+    const response = await fetch(`http://${IP_ADDRESS}:3000/stations/${stationId}${query}`);
 
     const contentType = response.headers.get('Content-Type');
     if (!response.ok && contentType && contentType.includes('application/json')) {
@@ -60,55 +140,144 @@ async function fetchStationDetails(stationId) {
 
     const stationDetails = await response.json();
 
-    displayStationDetails(stationDetails);
+    displayStationDetails(stationDetails, size);
   } catch (error) {
     console.error('역 정보를 가져오는 중 오류가 발생했습니다:', error.message);
   }
 }
 
+// 예보 한 칸이 여러 시간이면 15시~18시 처럼 구간으로 보여준다
+function forecastTimeLabel(time, stepHours) {
+  const start = new Date(time);
+  if (!stepHours || stepHours <= 1) {
+    return `${start.getHours()}시`;
+  }
+  const end = new Date(start.getTime() + stepHours * 60 * 60 * 1000);
+  return `${start.getHours()}시~${end.getHours()}시`;
+}
+
 // Function to display station details
-function displayStationDetails(details) {
+function displayStationDetails(details, size) {
   // Zoom to the station and center the map
   map.setView([details.station.latitude, details.station.longitude], 17); // Zoom level 17 is an example
 
+  const weatherContent = details.weather.available
+    ? `<p>온도: ${escapeHtml(details.weather.temperature)}°C</p>
+        <p>습도: ${escapeHtml(details.weather.humidity)}%</p>`
+    : `<p>${escapeHtml(details.weather.message)}</p>`;
+  const { forecast } = details;
+  const forecastContent = forecast.available
+    ? `<ul class="forecast">
+        ${forecast.hours
+          .map(
+            (hour) =>
+              `<li>${forecastTimeLabel(hour.time, forecast.stepHours)} ${escapeHtml(hour.temperature)}°C ${escapeHtml(hour.description)} ${Math.round(hour.precipitationProbability * 100)}%</li>`,
+          )
+          .join('')}
+      </ul>`
+    : `<p>${escapeHtml(forecast.message)}</p>`;
+  const recommendationContent = forecast.recommendation
+    ? `<p class="weather-recommendation">${escapeHtml(forecast.recommendation.message)}
+        <button onclick="fetchStationDetails(${details.station.id}, '${forecast.recommendation.size}')">추천 사물함 보기</button></p>`
+    : '';
+
   let detailsContent = `
-        <h2>${details.station.name}</h2>
-        <p>온도: ${details.temperature}°C</p>
-        <p>습도: ${details.humidity}%</p>
+        <h2>${escapeHtml(details.station.name)}</h2>
+        ${weatherContent}
+        ${forecastContent}
+        ${recommendationContent}
         <h3>사물함:</h3>
+        <select onchange="fetchStationDetails(${details.station.id}, this.value)">
+            <option value="">전체 사물함</option>
+            <option value="small" ${size === 'small' ? 'selected' : ''}>비어 있는 small</option>
+            <option value="medium" ${size === 'medium' ? 'selected' : ''}>비어 있는 medium</option>
+            <option value="large" ${size === 'large' ? 'selected' : ''}>비어 있는 large</option>
+            <option value="oversized" ${size === 'oversized' ? 'selected' : ''}>비어 있는 oversized</option>
+        </select>
         <div class="lockers-legend">
             <div><span class="legend-color-box" style="background-color: grey;"></span> 사용중</div>
             <div><span class="legend-color-box" style="background-color: blue;"></span> 미사용</div>
             <div><span class="legend-color-box" style="background-color: green;"></span> 관리중</div>
+            <div><span class="legend-color-box" style="background-color: orange;"></span> 예약됨</div>
         </div>
         <div class="lockers-container">`;
 
   details.lockers.forEach((locker) => {
-    let color;
-    switch (locker.status) {
-      case 'occupied':
-        color = 'grey';
-        break;
-      case 'unoccupied':
-        color = 'blue';
-        break;
-      case 'under management':
-        color = 'green';
-        break;
-      default:
-        color = 'black'; // Default color for unknown status
-    }
-    detailsContent += `<div class="locker-box" style="background-color: ${color};" onclick="lockerClickHandler(${locker.id})">
+    const color = lockerStatusColor(locker.status);
+    detailsContent += `<div class="locker-box" id="locker-${locker.id}" title="${locker.size}" style="background-color: ${color};" onclick="lockerClickHandler(${locker.id})">
         ${locker.id}
     </div>`;
   });
 
   detailsContent += '</div>';
+
+  // 비어 있는 사물함이 없으면 대기열 등록 버튼을 보여준다
+  const hasFreeLocker = details.lockers.some((locker) => locker.status === 'unoccupied');
+  if (!hasFreeLocker) {
+    detailsContent += `<button class="waitlist-button" onclick="joinWaitlist(${details.station.id}, '${size || ''}')">
+        빈 사물함 알림 받기
+    </button>`;
+  }
+
+  detailsContent += `<button class="report-button" onclick="reportBrokenLocker()">고장 신고</button>`;
+
   var detailsDiv = document.getElementById('stationDetails');
   detailsDiv.style.display = 'block';
   detailsDiv.innerHTML = detailsContent;
+
+  subscribeLockerStatus(details.station.id);
 }
 
+function lockerStatusColor(status) {
+  switch (status) {
+    case 'occupied':
+      return 'grey';
+    case 'unoccupied':
+      return 'blue';
+    case 'under management':
+      return 'green';
+    case 'reserved':
+      return 'orange';
+    case 'held':
+      return 'purple';
+    default:
+      return 'black'; // Default color for unknown status
+  }
+}
+
+// 열려 있는 역의 사물함 상태 변경을 받아서 사물함 색을 바로 바꾼다
+var lockerStatusSource = null;
+
+function subscribeLockerStatus(stationId) {
+  if (lockerStatusSource) {
+    lockerStatusSource.close();
+  }
+  lockerStatusSource = new EventSource(`http://${IP_ADDRESS}:3000/stations/${stationId}/lockers/stream`);
+  lockerStatusSource.onmessage = (event) => {
+    const lockerStatus = JSON.parse(event.data);
+    const lockerElement = document.getElementById(`locker-${lockerStatus.lockerId}`);
+    if (lockerElement && lockerStatus.deleted) {
+      lockerElement.remove();
+      return;
+    }
+    if (lockerElement) {
+      lockerElement.style.backgroundColor = lockerStatusColor(lockerStatus.status);
+    }
+  };
+  lockerStatusSource.onerror = (error) => {
+    console.error('사물함 상태 구독 중 오류가 발생했습니다:', error);
+  };
+}
+
+// 대여 거절 사유 코드별 안내 문구
+const RENTAL_REFUSAL_HINTS = {
+  ACCOUNT_SUSPENDED: '고객센터에 문의해주세요.',
+  UNPAID_FEES: '마이페이지에서 미납 요금을 결제할 수 있습니다.',
+  OVERDUE_RENTAL: '마이페이지에서 연체된 사물함을 확인해주세요.',
+  RENTAL_LIMIT_REACHED: '사용 중인 사물함을 반납한 뒤 다시 시도해주세요.',
+  STATION_CLOSED: '역 운영 시간에 다시 시도해주세요.',
+};
+
 async function rentLocker(id) {
   try {
     const token = localStorage.getItem('accessToken');
@@ -124,26 +293,107 @@ async function rentLocker(id) {
     const contentType = response.headers.get('Content-Type');
     if (!response.ok && contentType && contentType.includes('application/json')) {
       const errData = await response.json();
-      throw new Error(errData.message);
+      const hint = RENTAL_REFUSAL_HINTS[errData.code];
+      throw new Error(hint ? `${errData.message}\n${hint}` : errData.message);
     }
     if (!response.ok && contentType && contentType.includes('text/html')) {
       const errData = await response.text();
       throw new Error(errData);
     }
-    alert('사물함을 성공적으로 대여했습니다!');
+    const rentedLocker = await response.json();
+    alert(
+      `사물함을 성공적으로 대여했습니다! 잠금 해제 PIN: ${rentedLocker.pin}\n반납할 때까지 이 PIN 으로 사물함을 열 수 있고, 다시 확인할 수 없습니다.`,
+    );
   } catch (error) {
     console.error('사물함 대여 오류:', error.message);
     alert(error.message);
   }
 }
 
+async function joinWaitlist(stationId, size) {
+  if (!userIsLoggedIn()) {
+    alert('이 기능을 사용하려면 로그인 해주세요.');
+    return;
+  }
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/waitlists`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+      },
+      body: JSON.stringify(size ? { stationId, size } : { stationId }),
+    });
+
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    alert('대기열에 등록되었습니다. 사물함이 비면 마이페이지 알림으로 알려드립니다.');
+  } catch (error) {
+    console.error('대기열 등록 오류:', error.message);
+    alert(error.message);
+  }
+}
+
+const REPORT_CATEGORIES = {
+  1: 'broken door',
+  2: 'broken lock',
+  3: 'cleaning',
+  4: 'other',
+};
+
+async function reportBrokenLocker() {
+  if (!userIsLoggedIn()) {
+    alert('이 기능을 사용하려면 로그인 해주세요.');
+    return;
+  }
+  const lockerId = Number(prompt('고장 난 사물함 번호를 입력해주세요.'));
+  if (!Number.isInteger(lockerId) || lockerId <= 0) {
+    return;
+  }
+  const category =
+    REPORT_CATEGORIES[prompt('고장 종류를 선택해주세요.\n1: 문 고장\n2: 잠금장치 고장\n3: 청소 필요\n4: 기타', '1')];
+  if (!category) {
+    return;
+  }
+  const description = prompt('자세한 내용을 입력해주세요. (선택)') || undefined;
+
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/maintenance-tickets/reports`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+      },
+      body: JSON.stringify({ lockerId, category, description }),
+    });
+
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    alert('고장 신고가 접수되었습니다. 감사합니다.');
+  } catch (error) {
+    console.error('고장 신고 오류:', error.message);
+    alert(error.message);
+  }
+}
+
 async function lockerClickHandler(id) {
   if (userIsLoggedIn()) {
+    // 대여에 성공하면 사물함 색은 상태 구독으로 바뀐다
     await rentLocker(id);
-    var lockerElement = document.getElementById(`locker-${id}`);
-    if (lockerElement) {
-      lockerElement.style.backgroundColor = 'gray';
-    }
   }
   if (!userIsLoggedIn()) {
     alert('이 기능을 사용하려면 로그인 해주세요.');
@@ -178,6 +428,7 @@ document.getElementById('logout').addEventListener('click', async () => {
     if (response.ok === true) {
       // 로그아웃 성공
       localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
       alert('로그아웃 되었습니다.');
       // 로그아웃 후 홈페이지로 이동하거나 페이지 새로고침
       window.location.href = './index.html';
@@ -191,6 +442,7 @@ document.getElementById('logout').addEventListener('click', async () => {
     console.log(error);
     if (error.message.includes('토큰 기한이 만료되었습니다.')) {
       localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
       alert('로그아웃 되었습니다.');
       return;
     }
@@ -210,5 +462,65 @@ document.getElementById('myPage').addEventListener('click', () => {
   }
 });
 
+var userLocationMarker = null;
+
+// 브라우저 위치에서 가까운 역을 거리순으로 보여준다
+async function fetchNearbyStations(latitude, longitude) {
+  try {
+    const response = await fetch(
+      `http://${IP_ADDRESS}:3000/stations/nearby?latitude=${latitude}&longitude=${longitude}&limit=5`,
+    );
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    const stations = await response.json();
+
+    if (userLocationMarker) {
+      map.removeLayer(userLocationMarker);
+    }
+    userLocationMarker = L.circleMarker([latitude, longitude], { radius: 8, color: 'blue' })
+      .bindTooltip('현재 위치')
+      .addTo(map);
+
+    var detailsDiv = document.getElementById('stationDetails');
+    if (stations.length === 0) {
+      detailsDiv.innerHTML = '<p>근처에 사물함이 있는 역이 없습니다.</p>';
+      return;
+    }
+    map.fitBounds([[latitude, longitude], ...stations.map((station) => [station.latitude, station.longitude])], {
+      padding: [30, 30],
+    });
+    detailsDiv.innerHTML = '<h3>가까운 역</h3>';
+    stations.forEach((station) => {
+      const stationButton = document.createElement('button');
+      stationButton.className = 'nearby-station-button';
+      stationButton.textContent = `${station.name} (${station.distance.toFixed(1)}km, 빈 사물함 ${station.freeLockers}개)`;
+      stationButton.addEventListener('click', () => fetchStationDetails(station.id));
+      detailsDiv.appendChild(stationButton);
+    });
+  } catch (error) {
+    console.error('가까운 역을 가져오는 중 오류가 발생했습니다:', error.message);
+    alert('가까운 역을 가져오는 중 오류가 발생했습니다.');
+  }
+}
+
+document.getElementById('findNearby').addEventListener('click', () => {
+  if (!navigator.geolocation) {
+    alert('이 브라우저에서는 위치 정보를 사용할 수 없습니다.');
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    (position) => fetchNearbyStations(position.coords.latitude, position.coords.longitude),
+    () => alert('위치 정보를 가져올 수 없습니다. 브라우저의 위치 권한을 확인해주세요.'),
+  );
+});
+
 // Initial fetch and display stations on main
 fetchAndDisplayStations();
+fetchAndDisplayLines();
@@ -106,7 +106,7 @@ function updatePagination(metadata) {
   const prevButton = document.getElementById('prev-page');
   const nextButton = document.getElementById('next-page');
   prevButton.disabled = metadata.page === 1;
-  nextButton.disabled = metadata.page === metadata.totalPages;
+  nextButton.disabled = metadata.page >= metadata.totalPages;
 }
 
 async function loadPosts(page) {
@@ -1,4 +1,15 @@
 const IP_ADDRESS = 'localhost';
+
+// 역 이름처럼 서버에서 받은 글자를 innerHTML 에 넣기 전에 HTML 로 해석되지 않게 바꾼다
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 async function deleteAccount() {
   try {
     const response = await fetch(`http://${IP_ADDRESS}:3000/users/delete/`, {
@@ -11,6 +22,7 @@ async function deleteAccount() {
     });
     if (response.status === 204) {
       localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
       alert('계정이 삭제되었습니다.');
       window.location.href = '../index.html';
     }
@@ -44,6 +56,361 @@ async function fetchRentedLockers() {
   }
 }
 
+async function fetchNotifications() {
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/notifications/mine`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        authority: localStorage.getItem('authority'),
+      },
+    });
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    const notifications = await response.json();
+    displayNotifications(notifications);
+  } catch (error) {
+    console.error('알림을 불러오는 중에 에러가 발생했습니다.:', error);
+  }
+}
+
+function displayNotifications(notifications) {
+  const notificationList = document.getElementById('notifications');
+
+  notifications.forEach((notification) => {
+    const notificationItem = document.createElement('li');
+    notificationItem.className = notification.readAt ? 'notification' : 'notification unread';
+    notificationItem.innerHTML = `${new Date(notification.createdAt).toLocaleString()}<br>${notification.message}`;
+    notificationItem.onclick = async function () {
+      await fetch(`http://${IP_ADDRESS}:3000/notifications/${notification.id}/read`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        },
+      });
+      notificationItem.classList.remove('unread');
+    };
+    notificationList.appendChild(notificationItem);
+  });
+}
+
+async function fetchLostItems() {
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/lost-items/mine`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        authority: localStorage.getItem('authority'),
+      },
+    });
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    const lostItems = await response.json();
+    displayLostItems(lostItems);
+  } catch (error) {
+    console.error('보관 중인 물품을 불러오는 중에 에러가 발생했습니다.:', error);
+  }
+}
+
+function displayLostItems(lostItems) {
+  const lostItemList = document.getElementById('lostItems');
+
+  lostItems.forEach((lostItem) => {
+    const lostItemElement = document.createElement('li');
+    lostItemElement.className = 'locker-item';
+    lostItemElement.innerHTML = `
+      Locker Number: ${lostItem.lockerId}<br>
+      Items: ${lostItem.items}<br>
+      Stored At: ${lostItem.storageLocation}<br>
+      Pick Up By: ${new Date(lostItem.pickupDeadline).toLocaleString()}
+    `;
+    if (lostItem.status === 'held') {
+      const claimButton = document.createElement('button');
+      claimButton.textContent = 'Claim';
+      claimButton.onclick = function () {
+        claimLostItem(lostItem.id);
+      };
+      lostItemElement.appendChild(document.createElement('br'));
+      lostItemElement.appendChild(claimButton);
+    }
+    if (lostItem.status === 'claimed') {
+      lostItemElement.innerHTML += '<br>Claimed - please pick up your items at the storage location';
+    }
+    lostItemList.appendChild(lostItemElement);
+  });
+}
+
+async function claimLostItem(lostItemId) {
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/lost-items/${lostItemId}/claim`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        Authority: localStorage.getItem('authority'),
+      },
+    });
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    alert('찾아가기 신청이 완료되었습니다. 보관 장소에서 물품을 찾아가주세요.');
+    window.location.reload();
+  } catch (error) {
+    console.error('물품 찾아가기 신청 중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+
+async function requestTransfer(path, method, body) {
+  const response = await fetch(`http://${IP_ADDRESS}:3000/transfers${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+      Authority: localStorage.getItem('authority'),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const contentType = response.headers.get('Content-Type');
+  if (!response.ok && contentType && contentType.includes('application/json')) {
+    const errData = await response.json();
+    throw new Error(errData.message);
+  }
+  if (!response.ok && contentType && contentType.includes('text/html')) {
+    const errData = await response.text();
+    throw new Error(errData);
+  }
+  return await response.json();
+}
+
+async function transferRental(rentalId) {
+  try {
+    const email = prompt('사물함을 양도받을 회원의 이메일을 입력해주세요.');
+    if (!email) {
+      return;
+    }
+    await requestTransfer('', 'POST', { rentalId, email });
+    alert('양도 요청을 보냈습니다. 상대방이 수락하면 사물함이 넘어갑니다.');
+  } catch (error) {
+    console.error('사물함 양도 요청 중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+
+async function fetchReceivedTransfers() {
+  try {
+    const transfers = await requestTransfer('/mine', 'GET');
+    const transferList = document.getElementById('receivedTransfers');
+
+    transfers.received
+      .filter((transfer) => transfer.status === 'pending')
+      .forEach((transfer) => {
+        const transferItem = document.createElement('li');
+        transferItem.className = 'locker-item';
+        transferItem.innerHTML = `
+          Locker Number: ${transfer.lockerId}<br>
+          Accept By: ${new Date(transfer.expiresAt).toLocaleString()}<br>
+        `;
+        const acceptButton = document.createElement('button');
+        acceptButton.textContent = 'Accept';
+        acceptButton.onclick = function () {
+          respondToTransfer(transfer.id, 'accept');
+        };
+        const declineButton = document.createElement('button');
+        declineButton.textContent = 'Decline';
+        declineButton.onclick = function () {
+          respondToTransfer(transfer.id, 'decline');
+        };
+        transferItem.appendChild(acceptButton);
+        transferItem.appendChild(declineButton);
+        transferList.appendChild(transferItem);
+      });
+  } catch (error) {
+    console.error('양도 요청을 불러오는 중에 에러가 발생했습니다.:', error);
+  }
+}
+
+async function respondToTransfer(transferId, action) {
+  try {
+    const result = await requestTransfer(`/${transferId}/${action}`, 'POST');
+    if (action === 'accept') {
+      alert(
+        `사물함을 양도받았습니다! 잠금 해제 PIN: ${result.pin}\n반납할 때까지 이 PIN 으로 사물함을 열 수 있고, 다시 확인할 수 없습니다.`,
+      );
+    }
+    window.location.reload();
+  } catch (error) {
+    console.error('양도 요청을 처리하는 중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+
+async function requestSessions(path, method) {
+  const response = await fetch(`http://${IP_ADDRESS}:3000/sessions${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+      Authority: localStorage.getItem('authority'),
+    },
+  });
+  const contentType = response.headers.get('Content-Type');
+  if (!response.ok && contentType && contentType.includes('application/json')) {
+    const errData = await response.json();
+    throw new Error(errData.message);
+  }
+  if (!response.ok && contentType && contentType.includes('text/html')) {
+    const errData = await response.text();
+    throw new Error(errData);
+  }
+  return response.status === 204 ? null : await response.json();
+}
+
+async function fetchSessions() {
+  try {
+    const sessions = await requestSessions('/mine', 'GET');
+    const sessionList = document.getElementById('sessions');
+
+    sessions.forEach((session) => {
+      const sessionItem = document.createElement('li');
+      sessionItem.className = 'locker-item';
+      sessionItem.innerHTML = `
+        Device: ${escapeHtml(session.userAgent || 'Unknown')}${session.current ? ' (this device)' : ''}<br>
+        IP: ${escapeHtml(session.ipAddress || 'Unknown')}<br>
+        Signed In: ${new Date(session.createdAt).toLocaleString()}<br>
+        Last Used: ${new Date(session.lastUsedAt).toLocaleString()}<br>
+      `;
+      const revokeButton = document.createElement('button');
+      revokeButton.textContent = 'Sign out';
+      revokeButton.onclick = function () {
+        revokeSession(session);
+      };
+      sessionItem.appendChild(revokeButton);
+      sessionList.appendChild(sessionItem);
+    });
+  } catch (error) {
+    console.error('로그인 기기를 불러오는 중에 에러가 발생했습니다.:', error);
+  }
+}
+
+async function revokeSession(session) {
+  try {
+    await requestSessions(`/${session.id}/revoke`, 'PATCH');
+    if (session.current) {
+      localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
+      alert('로그아웃 되었습니다.');
+      window.location.href = '../index.html';
+      return;
+    }
+    alert('선택한 기기에서 로그아웃 되었습니다.');
+    window.location.reload();
+  } catch (error) {
+    console.error('기기를 로그아웃하는 중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+
+async function revokeOtherSessions() {
+  try {
+    const { revokedCount } = await requestSessions('/revoke-all?keepCurrent=true', 'PATCH');
+    alert(`다른 기기 ${revokedCount}곳에서 로그아웃 되었습니다.`);
+    window.location.reload();
+  } catch (error) {
+    console.error('다른 기기를 로그아웃하는 중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+
+async function fetchUnpaidRentals() {
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/rentals/unpaid`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        authority: localStorage.getItem('authority'),
+      },
+    });
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    const unpaidRentals = await response.json();
+    const unpaidList = document.getElementById('unpaidRentals');
+
+    unpaidRentals.forEach((rental) => {
+      const unpaidItem = document.createElement('li');
+      unpaidItem.className = 'locker-item';
+      unpaidItem.innerHTML = `
+        Locker Number: ${rental.lockerId}<br>
+        Rental Period: ${new Date(rental.startDateTime).toLocaleString()} ~ ${new Date(rental.endDateTime).toLocaleString()}<br>
+        Amount: ${rental.amount}원<br>
+      `;
+      const payButton = document.createElement('button');
+      payButton.textContent = 'Pay';
+      payButton.onclick = function () {
+        payUnpaidRental(rental.id);
+      };
+      unpaidItem.appendChild(payButton);
+      unpaidList.appendChild(unpaidItem);
+    });
+  } catch (error) {
+    console.error('미납 요금을 불러오는 중에 에러가 발생했습니다.:', error);
+  }
+}
+
+async function payUnpaidRental(rentalId) {
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/rentals/${rentalId}/payment`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        Authority: localStorage.getItem('authority'),
+      },
+      body: JSON.stringify({ payment: {} }),
+    });
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    const paidRental = await response.json();
+    alert(`${paidRental.amount}원이 결제되었습니다.`);
+    window.location.reload();
+  } catch (error) {
+    console.error('미납 요금을 결제하는 중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+
 function userIsLoggedIn(authority) {
   return localStorage.getItem('accessToken') !== null; // Example check
 }
@@ -58,25 +425,74 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     // const userEmail = localStorage.getItem('email'); // You need to implement this
     const posts = await fetchUserPosts();
-    const lockers = await fetchRentedLockers();
+    await fetchNotifications();
+    await fetchLostItems();
+    await fetchReceivedTransfers();
+    await fetchUnpaidRentals();
+    await fetchSessions();
+    const rentals = await fetchRentedLockers();
     const lockerList = document.getElementById('rentedLockers');
+    const rentalHistory = document.getElementById('rentalHistory');
+
+    rentals.forEach((rental) => {
+      // Returned rentals are only listed as history
+      if (rental.status !== 'active') {
+        const historyItem = document.createElement('li');
+        historyItem.innerHTML = `
+          Locker Number: ${rental.lockerId}<br>
+          Station Name: ${escapeHtml(rental.stationName)}<br>
+          Rental Period: ${new Date(rental.startDateTime).toLocaleString()} ~ ${new Date(rental.endDateTime).toLocaleString()}
+        `;
+        if (rental.transferredTo) {
+          historyItem.innerHTML += `<br>Transferred To: ${rental.transferredTo}`;
+        }
+        if (rental.transferredFrom) {
+          historyItem.innerHTML += `<br>Transferred From: ${rental.transferredFrom}`;
+        }
+        rentalHistory.appendChild(historyItem);
+        return;
+      }
 
-    lockers.forEach((locker) => {
       // Create a button element for each locker
       const lockerButton = document.createElement('button');
       lockerButton.className = 'locker-button';
       lockerButton.innerHTML = `
-        Locker Number: ${locker.id}<br>
-        Station Name: ${locker.stationName}<br>
-        Rental Period: ${new Date(locker.startDateTime).toLocaleString()}
+        Locker Number: ${rental.lockerId}<br>
+        Station Name: ${escapeHtml(rental.stationName)}<br>
+        Rental Period: ${new Date(rental.startDateTime).toLocaleString()}<br>
+        Return By: ${new Date(rental.expectedEndDateTime).toLocaleString()}
       `;
+      if (rental.isOverdue) {
+        lockerButton.classList.add('overdue');
+        lockerButton.innerHTML += `<br>Overdue - Late Fee: ${rental.lateFee}원`;
+      }
       // When the button is clicked, return the locker's ID
       lockerButton.onclick = function () {
-        returnLocker(locker.id); // This function needs to be defined elsewhere
+        returnLocker(rental.lockerId); // This function needs to be defined elsewhere
+      };
+
+      // Extend button next to the return button
+      const extendButton = document.createElement('button');
+      extendButton.className = 'extend-button';
+      extendButton.textContent = 'Extend';
+      // Overdue rentals have to be returned, not extended
+      extendButton.disabled = rental.isOverdue;
+      extendButton.onclick = function () {
+        extendRental(rental.id);
       };
 
-      // Append the button to the list
+      // Transfer button to hand the locker over to another user
+      const transferButton = document.createElement('button');
+      transferButton.className = 'extend-button';
+      transferButton.textContent = 'Transfer';
+      transferButton.onclick = function () {
+        transferRental(rental.id);
+      };
+
+      // Append the buttons to the list
       lockerList.appendChild(lockerButton);
+      lockerList.appendChild(extendButton);
+      lockerList.appendChild(transferButton);
     });
   } catch (error) {
     console.error('대여 중인 락커를 불러오는데 실패했습니다.:', error);
@@ -89,10 +505,8 @@ async function returnLocker(lockerId) {
     const userConfirmed = confirm('정말로 사용중인 라커를 반환하시겠습니까?');
 
     if (userConfirmed) {
-      const endDateTime = new Date();
       const requestBody = {
         id: lockerId,
-        endDateTime: endDateTime,
         payment: true,
       };
       const response = await fetch(`http://${IP_ADDRESS}:3000/lockers/return`, {
@@ -114,12 +528,54 @@ async function returnLocker(lockerId) {
         const errData = await response.text();
         throw new Error(errData);
       }
+      const returnedLocker = await response.json();
+      alert(`사물함이 반환되었습니다. 결제 금액: ${returnedLocker.charge.total}원`);
     }
   } catch (error) {
     console.error('락커를 반환하는 도중에 에러가 발생했습니다.:', error);
     alert('릭카 반환 실패');
   }
 }
+async function extendRental(rentalId) {
+  try {
+    const hours = Number(prompt('몇 시간 연장하시겠습니까?', '1'));
+    if (!Number.isInteger(hours) || hours <= 0) {
+      return;
+    }
+    const response = await fetch(`http://${IP_ADDRESS}:3000/rentals/${rentalId}/extend`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+        Authority: localStorage.getItem('authority'),
+      },
+      body: JSON.stringify({ hours }),
+    });
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+    const extendedRental = await response.json();
+    alert(
+      `반납 예정 시간이 ${new Date(extendedRental.expectedEndDateTime).toLocaleString()} 으로 연장되었습니다. 예상 요금: ${extendedRental.expectedAmount}원`,
+    );
+    window.location.reload();
+  } catch (error) {
+    console.error('대여를 연장하는 도중에 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+}
+document.getElementById('revokeOtherSessions').addEventListener('click', async function (event) {
+  event.preventDefault();
+  if (confirm('지금 기기를 제외한 모든 기기에서 로그아웃 하시겠습니까?')) {
+    await revokeOtherSessions();
+  }
+});
 document.getElementById('deleteAccount').addEventListener('click', async function (event) {
   event.preventDefault();
   const userConfirmed = confirm('정말로 계정을 지우시겠습니까?');
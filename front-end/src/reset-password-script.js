@@ -0,0 +1,46 @@
+const IP_ADDRESS = 'localhost';
+
+document.getElementById('resetPasswordForm').addEventListener('submit', async function (event) {
+  event.preventDefault();
+
+  // 메일로 받은 링크의 ?token= 값
+  const token = new URLSearchParams(window.location.search).get('token');
+  const password = document.getElementById('password').value;
+  const passwordConfirm = document.getElementById('passwordConfirm').value;
+  if (!token) {
+    alert('비밀번호 재설정 링크가 올바르지 않습니다. 메일의 링크로 다시 접속해주세요.');
+    return;
+  }
+  if (password !== passwordConfirm) {
+    alert('비밀번호가 일치하지 않습니다.');
+    return;
+  }
+
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/auth/password-reset/confirm`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token, password }),
+    });
+
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    alert('비밀번호가 변경되었습니다. 새 비밀번호로 다시 로그인 해주세요.');
+    window.location.href = '../index.html';
+  } catch (error) {
+    console.error('비밀번호 재설정 중 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+});
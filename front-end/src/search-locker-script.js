@@ -34,14 +34,18 @@ async function fetchLockers(page, limit) {
 function displayLockers(lockers) {
   const lockerInfo = document.getElementById('lockerInfo');
   lockerInfo.innerHTML = '';
+  if (lockers.length === 0) {
+    lockerInfo.innerHTML = '<p>조건에 맞는 사물함이 없습니다.</p>';
+    return;
+  }
   const table = document.createElement('table');
   const thead = document.createElement('thead');
-  thead.innerHTML = `<tr><th>ID</th><th>시작 날짜</th><th>종료 날짜</th><th>상태</th><th>스테이션 ID</th><th>사용자 ID</th></tr>`;
+  thead.innerHTML = `<tr><th>ID</th><th>시작 날짜</th><th>종료 날짜</th><th>상태</th><th>크기</th><th>스테이션 ID</th><th>사용자 ID</th></tr>`;
   table.appendChild(thead);
   const tbody = document.createElement('tbody');
   lockers.forEach((locker) => {
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${locker.id}</td><td>${locker.startDateTime}</td><td>${locker.endDateTime}</td><td>${locker.status}</td><td>${locker.stationId}</td><td>${locker.userId}</td>`;
+    tr.innerHTML = `<td>${locker.id}</td><td>${locker.startDateTime}</td><td>${locker.endDateTime}</td><td>${locker.status}</td><td>${locker.size}</td><td>${locker.stationId}</td><td>${locker.userId}</td>`;
     tbody.appendChild(tr);
   });
   table.appendChild(tbody);
@@ -37,9 +37,43 @@ document.getElementById('signInForm').addEventListener('submit', async function
     if (data.authority === requiredAuthority && redirectAddress) {
       window.location.href = `${redirectAddress}`;
       localStorage.setItem('accessToken', data.accessToken);
+      localStorage.setItem('refreshToken', data.refreshToken);
     }
   } catch (error) {
     console.error('로그인 중 에러가 발생했습니다.:', error);
     alert(error.message);
   }
 });
+
+document.getElementById('forgotPassword').addEventListener('click', async function () {
+  const email = prompt('가입하신 이메일을 입력해주세요.', document.getElementById('email').value);
+  if (!email) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`http://${IP_ADDRESS}:3000/auth/password-reset/request`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email }),
+    });
+
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok && contentType && contentType.includes('application/json')) {
+      const errData = await response.json();
+      throw new Error(errData.message);
+    }
+    if (!response.ok && contentType && contentType.includes('text/html')) {
+      const errData = await response.text();
+      throw new Error(errData);
+    }
+
+    const data = await response.json();
+    alert(data.message);
+  } catch (error) {
+    console.error('비밀번호 재설정 요청 중 에러가 발생했습니다.:', error);
+    alert(error.message);
+  }
+});
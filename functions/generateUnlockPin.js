@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { pinLength } = require('../config/unlockPin');
+
+// 대여마다 하나씩 발급하는 PIN, 반납하거나 양도해서 대여가 끝날 때까지 몇 번이고 사물함을 열 수 있다
+async function generateUnlockPin() {
+  const pin = String(crypto.randomInt(0, 10 ** pinLength)).padStart(pinLength, '0');
+  const saltRounds = parseInt(process.env.SALT_ROUNDS);
+  const pinHash = await bcrypt.hash(pin, saltRounds);
+  return { pin, pinHash };
+}
+
+module.exports = generateUnlockPin;
@@ -1,12 +1,33 @@
 const pagination = require('./paginations');
-const weatherApi = require('./weatherApi');
-const { signUpEmailPasswordValidation, emailValidation } = require('./signUpEmailPasswordValidation');
+const {
+  signUpEmailPasswordValidation,
+  emailValidation,
+  passwordValidation,
+} = require('./signUpEmailPasswordValidation');
 const asyncHandler = require('./asyncHandler');
+const { lockerScheduleValidation, findOverlappingReservation } = require('./lockerScheduleValidation');
+const lockerSearchFilter = require('./lockerSearchFilter');
+const generateUnlockPin = require('./generateUnlockPin');
+const { maxRentalHours, rentalDueDateTime, standardDueDateTime } = require('./rentalDueDateTime');
+const { findUnpaidRentals, rentalEligibilityValidation } = require('./rentalEligibilityValidation');
+const geoDistance = require('./geoDistance');
+const stationOpenValidation = require('./stationOpenValidation');
 
 module.exports = {
   pagination,
-  weatherApi,
   signUpEmailPasswordValidation,
   emailValidation,
+  passwordValidation,
   asyncHandler,
+  lockerScheduleValidation,
+  findOverlappingReservation,
+  lockerSearchFilter,
+  generateUnlockPin,
+  maxRentalHours,
+  rentalDueDateTime,
+  standardDueDateTime,
+  findUnpaidRentals,
+  rentalEligibilityValidation,
+  geoDistance,
+  stationOpenValidation,
 };
@@ -0,0 +1,38 @@
+const { Op } = require('sequelize');
+const { Rental, Reservation } = require('../models');
+const { RentalStatus, ReservationStatus } = require('../models/enums');
+
+// startDateTime ~ endDateTime 와 겹치는 예약 중 가장 먼저 시작하는 예약
+async function findOverlappingReservation(lockerId, startDateTime, endDateTime) {
+  return Reservation.findOne({
+    where: {
+      lockerId,
+      status: ReservationStatus.RESERVED,
+      startDateTime: { [Op.lt]: endDateTime },
+      endDateTime: { [Op.gt]: startDateTime },
+    },
+    order: [['startDateTime', 'ASC']],
+  });
+}
+
+async function lockerScheduleValidation(lockerId, startDateTime, endDateTime) {
+  const activeRental = await Rental.findOne({
+    where: { lockerId, status: RentalStatus.ACTIVE },
+  });
+  // 반납 예정 시간이 예약 시작 전이면 예약 가능
+  if (activeRental && (!activeRental.expectedEndDateTime || activeRental.expectedEndDateTime > startDateTime)) {
+    return { validation: false, statusCode: 422, message: '선택하신 사물함은 현재 대여 중입니다.' };
+  }
+
+  const overlappingReservation = await findOverlappingReservation(lockerId, startDateTime, endDateTime);
+  if (overlappingReservation) {
+    return { validation: false, statusCode: 422, message: '선택하신 시간에 이미 예약이 있습니다.' };
+  }
+
+  return { validation: true };
+}
+
+module.exports = {
+  lockerScheduleValidation,
+  findOverlappingReservation,
+};
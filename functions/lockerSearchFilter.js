@@ -0,0 +1,28 @@
+const { Op } = require('sequelize');
+const { LockerSize, LockerStatus } = require('../models/enums');
+
+function lockerSearchFilter(size, available) {
+  const where = {};
+
+  if (size !== undefined) {
+    if (!Object.values(LockerSize).includes(size)) {
+      return {
+        validation: false,
+        statusCode: 400,
+        message: `size 값은 다음과 같은 값만 입력해주세요. ${Object.values(LockerSize).join(', ')}`,
+      };
+    }
+    where.size = size;
+  }
+
+  if (available !== undefined) {
+    if (available !== 'true' && available !== 'false') {
+      return { validation: false, statusCode: 400, message: 'available 값은 true 또는 false 로 입력해주세요.' };
+    }
+    where.status = available === 'true' ? LockerStatus.UNOCCUPIED : { [Op.ne]: LockerStatus.UNOCCUPIED };
+  }
+
+  return { validation: true, where };
+}
+
+module.exports = lockerSearchFilter;
@@ -1,6 +1,6 @@
 const HttpException = require('../middleware/HttpException');
 
-async function pagination(page, limit, model, orderingColumn, orderingDirection, excludeAttributes) {
+async function pagination(page, limit, model, orderingColumn, orderingDirection, excludeAttributes, where) {
   const column = orderingColumn || 'createdAt';
   const direction = orderingDirection || 'DESC';
   let excludedAttributes = excludeAttributes || ['updatedAt', 'deletedAt'];
@@ -21,9 +21,16 @@ async function pagination(page, limit, model, orderingColumn, orderingDirection,
   }
 
   const offset = limit * (page - 1);
-  const count = await model.count();
+  const count = await model.count({ where });
 
   const totalPages = Math.ceil(count / limit);
+  // 결과가 하나도 없으면 에러가 아니라 빈 목록, 사물함 검색과 게시판 목록이 같이 사용한다
+  if (count === 0) {
+    return {
+      items: [],
+      metadata: { totalPages, limit, offset, count, previousPage: null, page, nextPage: null },
+    };
+  }
   if (page < 1 || page > totalPages) {
     throw new HttpException(400, `page 범위는 1부터 ${totalPages} 입니다.`);
     return;
@@ -46,6 +53,7 @@ async function pagination(page, limit, model, orderingColumn, orderingDirection,
   }
 
   const items = await model.findAll({
+    where,
     order: [[column, direction]],
     attributes: { exclude: excludedAttributes },
     limit,
@@ -0,0 +1,24 @@
+const { Station } = require('../models');
+const { defaultMaxRentalHours, standardRentalHours } = require('../config/rental');
+
+async function maxRentalHours(stationId) {
+  const station = await Station.findByPk(stationId, { paranoid: false });
+  return (station && station.maxRentalHours) || defaultMaxRentalHours;
+}
+
+async function rentalDueDateTime(stationId, startDateTime) {
+  const hours = await maxRentalHours(stationId);
+  return new Date(new Date(startDateTime).getTime() + hours * 60 * 60 * 1000);
+}
+
+// 바로 대여하는 경우 기본 대여 시간만큼만 빌려줘서 최대 대여 시간까지 연장할 여유를 남긴다
+async function standardDueDateTime(stationId, startDateTime) {
+  const hours = Math.min(standardRentalHours, await maxRentalHours(stationId));
+  return new Date(new Date(startDateTime).getTime() + hours * 60 * 60 * 1000);
+}
+
+module.exports = {
+  maxRentalHours,
+  rentalDueDateTime,
+  standardDueDateTime,
+};
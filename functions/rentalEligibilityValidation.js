@@ -0,0 +1,71 @@
+const { Op } = require('sequelize');
+const { User, Rental, Payment } = require('../models');
+const { RentalStatus, PaymentStatus, RentalRefusalCode } = require('../models/enums');
+const { maxActiveRentals, blockUnpaidFees, blockOverdueRentals } = require('../config/rental');
+
+// 종료된 대여 중 요금이 있는데 결제 완료 기록이 없는 대여, 직원이 비운 사물함의 요금 등이 여기에 해당
+async function findUnpaidRentals(userId) {
+  const paidPayments = await Payment.findAll({
+    where: { userId, status: PaymentStatus.PAID },
+    attributes: ['rentalId'],
+  });
+  const where = {
+    userId,
+    status: { [Op.ne]: RentalStatus.ACTIVE },
+    amount: { [Op.gt]: 0 },
+  };
+  if (paidPayments.length > 0) {
+    where.id = { [Op.notIn]: paidPayments.map((payment) => payment.rentalId) };
+  }
+  return Rental.findAll({ where });
+}
+
+async function rentalEligibilityValidation(userId) {
+  const user = await User.findByPk(userId);
+  if (user && user.isSuspended) {
+    return {
+      validation: false,
+      statusCode: 403,
+      code: RentalRefusalCode.ACCOUNT_SUSPENDED,
+      message: '이용이 정지된 계정입니다.',
+    };
+  }
+
+  if (blockUnpaidFees) {
+    const unpaidRentals = await findUnpaidRentals(userId);
+    if (unpaidRentals.length > 0) {
+      const unpaidAmount = unpaidRentals.reduce((sum, rental) => sum + rental.amount, 0);
+      return {
+        validation: false,
+        statusCode: 402,
+        code: RentalRefusalCode.UNPAID_FEES,
+        message: `미납 요금 ${unpaidAmount}원을 먼저 결제해주세요.`,
+      };
+    }
+  }
+
+  const activeRentals = await Rental.findAll({ where: { userId, status: RentalStatus.ACTIVE } });
+  if (blockOverdueRentals && activeRentals.some((rental) => rental.isOverdue)) {
+    return {
+      validation: false,
+      statusCode: 422,
+      code: RentalRefusalCode.OVERDUE_RENTAL,
+      message: '연체 중인 사물함을 먼저 반납해주세요.',
+    };
+  }
+  if (activeRentals.length >= maxActiveRentals) {
+    return {
+      validation: false,
+      statusCode: 422,
+      code: RentalRefusalCode.RENTAL_LIMIT_REACHED,
+      message: `사물함은 동시에 ${maxActiveRentals}개까지 사용할 수 있습니다.`,
+    };
+  }
+
+  return { validation: true };
+}
+
+module.exports = {
+  findUnpaidRentals,
+  rentalEligibilityValidation,
+};
@@ -0,0 +1,20 @@
+const { RentalRefusalCode } = require('../models/enums');
+const { stationOpenStatus } = require('../services/stationHours');
+
+async function stationOpenValidation(stationId, dateTime = new Date()) {
+  const status = await stationOpenStatus(stationId, dateTime);
+  if (status.isOpen) {
+    return { validation: true };
+  }
+
+  const reason = status.reason ? `(${status.reason}) ` : '';
+  const nextOpen = status.nextOpenAt ? ` 다음 운영 시작: ${status.nextOpenAt.toLocaleString()}` : '';
+  return {
+    validation: false,
+    statusCode: 422,
+    code: RentalRefusalCode.STATION_CLOSED,
+    message: `${dateTime.toLocaleString()} 은 역 운영 시간이 아닙니다. ${reason}${nextOpen}`.trim(),
+  };
+}
+
+module.exports = stationOpenValidation;
@@ -0,0 +1,35 @@
+const reservationScheduler = require('./reservationScheduler');
+const lockerBankHeartbeatMonitor = require('./lockerBankHeartbeatMonitor');
+const overdueRentalMonitor = require('./overdueRentalMonitor');
+const waitlistHoldMonitor = require('./waitlistHoldMonitor');
+const tokenCleanup = require('./tokenCleanup');
+
+const ONE_MINUTE = 60 * 1000;
+const ONE_HOUR = 60 * ONE_MINUTE;
+
+function runJob(job) {
+  return async () => {
+    try {
+      await job();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+}
+
+function startJobs() {
+  setInterval(runJob(reservationScheduler), ONE_MINUTE);
+  setInterval(runJob(lockerBankHeartbeatMonitor), ONE_MINUTE);
+  setInterval(runJob(overdueRentalMonitor), ONE_MINUTE);
+  setInterval(runJob(waitlistHoldMonitor), ONE_MINUTE);
+  setInterval(runJob(tokenCleanup), ONE_HOUR);
+}
+
+module.exports = {
+  startJobs,
+  reservationScheduler,
+  lockerBankHeartbeatMonitor,
+  overdueRentalMonitor,
+  waitlistHoldMonitor,
+  tokenCleanup,
+};
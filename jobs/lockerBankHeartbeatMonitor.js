@@ -0,0 +1,20 @@
+const { Op } = require('sequelize');
+const { LockerBank } = require('../models');
+const { LockerBankStatus } = require('../models/enums');
+const { heartbeatTimeoutSeconds } = require('../config/lockerController');
+
+// heartbeat 가 끊긴 사물함 뱅크를 offline 으로 표시
+async function lockerBankHeartbeatMonitor() {
+  const heartbeatDeadline = new Date(Date.now() - heartbeatTimeoutSeconds * 1000);
+  await LockerBank.update(
+    { status: LockerBankStatus.OFFLINE },
+    {
+      where: {
+        status: LockerBankStatus.ONLINE,
+        lastHeartbeatAt: { [Op.lt]: heartbeatDeadline },
+      },
+    },
+  );
+}
+
+module.exports = lockerBankHeartbeatMonitor;
@@ -0,0 +1,45 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Locker, Rental } = require('../models');
+const { LockerStatus, RentalStatus } = require('../models/enums');
+const { calculateOverdueTime, calculateLateFee } = require('../services/pricing');
+const { overdueManagementHours } = require('../config/rental');
+const { publishLockerStatus } = require('../services/lockerStatusStream');
+
+// 반납 예정 시간이 지난 대여는 연체로 표시하고 연체료를 갱신,
+// 역이 문을 연 시간으로 센 연체 시간이 overdueManagementHours 이상이면 사물함을 관리중으로 바꿔서 직원이 비울 수 있게 한다.
+// 관리중이 된 뒤에도 유저는 직원이 비우기 전까지 반납하고 결제할 수 있다
+async function overdueRentalMonitor() {
+  const now = new Date();
+  const overdueRentals = await Rental.findAll({
+    where: {
+      status: RentalStatus.ACTIVE,
+      expectedEndDateTime: { [Op.lt]: now },
+      // 이미 관리중으로 넘긴 대여의 연체료는 그 시점에서 멈춘다
+      escalatedAt: null,
+    },
+  });
+
+  for (const rental of overdueRentals) {
+    const overdueTime = await calculateOverdueTime(rental, now);
+    const lateFee = calculateLateFee(overdueTime);
+    if (overdueTime < overdueManagementHours * 60 * 60 * 1000) {
+      await Rental.update({ isOverdue: true, lateFee }, { where: { id: rental.id } });
+      continue;
+    }
+
+    // 고장 신고로 이미 관리중인 사물함이어도 연체로 넘긴 시간은 대여에 남긴다
+    const [updatedCount] = await sequelize.transaction(async () => {
+      await Rental.update({ isOverdue: true, lateFee, escalatedAt: now }, { where: { id: rental.id } });
+      return Locker.update(
+        { status: LockerStatus.UNDER_MANAGEMENT },
+        { where: { id: rental.lockerId, status: LockerStatus.OCCUPIED } },
+      );
+    });
+    if (updatedCount > 0) {
+      await publishLockerStatus(rental.lockerId);
+    }
+  }
+}
+
+module.exports = overdueRentalMonitor;
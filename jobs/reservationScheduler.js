@@ -0,0 +1,59 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Locker, Reservation } = require('../models');
+const { LockerStatus, ReservationStatus } = require('../models/enums');
+const { gracePeriodMinutes } = require('../config/reservation');
+const { publishLockerStatus } = require('../services/lockerStatusStream');
+const { offerLocker } = require('../services/waitlist');
+
+// 예약 시간이 시작된 사물함은 reserved 로 잡아두고, 유예 시간 안에 체크인 하지 않은 예약은 no show 로 처리
+async function reservationScheduler() {
+  const now = new Date();
+  const graceDeadline = new Date(now.getTime() - gracePeriodMinutes * 60 * 1000);
+
+  const noShowReservations = await Reservation.findAll({
+    where: {
+      status: ReservationStatus.RESERVED,
+      startDateTime: { [Op.lt]: graceDeadline },
+    },
+  });
+  for (const reservation of noShowReservations) {
+    const releasedCount = await sequelize.transaction(async () => {
+      // 스케줄러가 도는 사이에 체크인한 예약은 no show 로 덮어쓰지 않는다
+      const [noShowCount] = await Reservation.update(
+        { status: ReservationStatus.NO_SHOW },
+        { where: { id: reservation.id, status: ReservationStatus.RESERVED } },
+      );
+      if (noShowCount === 0) {
+        return 0;
+      }
+      const [updatedCount] = await Locker.update(
+        { status: LockerStatus.UNOCCUPIED },
+        { where: { id: reservation.lockerId, status: LockerStatus.RESERVED } },
+      );
+      return updatedCount;
+    });
+    if (releasedCount > 0) {
+      await publishLockerStatus(reservation.lockerId);
+      await offerLocker(reservation.lockerId);
+    }
+  }
+
+  const startedReservations = await Reservation.findAll({
+    where: {
+      status: ReservationStatus.RESERVED,
+      startDateTime: { [Op.lte]: now },
+    },
+  });
+  for (const reservation of startedReservations) {
+    const [updatedCount] = await Locker.update(
+      { status: LockerStatus.RESERVED },
+      { where: { id: reservation.lockerId, status: LockerStatus.UNOCCUPIED } },
+    );
+    if (updatedCount > 0) {
+      await publishLockerStatus(reservation.lockerId);
+    }
+  }
+}
+
+module.exports = reservationScheduler;
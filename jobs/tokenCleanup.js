@@ -0,0 +1,19 @@
+const { Op } = require('sequelize');
+const { BlackList, RefreshToken, Session, PasswordResetToken } = require('../models');
+
+// 만료된 access token 은 jwt.verify 에서 이미 거절되므로 BlackList 에 남겨 둘 필요가 없고,
+// refresh token, 세션, 비밀번호 재설정 token 도 만료되면 쓸 수 없어서 함께 지운다
+async function tokenCleanup() {
+  const now = new Date();
+  await BlackList.destroy({ where: { expiryDate: { [Op.lt]: now } } });
+  await RefreshToken.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+  await PasswordResetToken.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+  const expiredSessions = await Session.findAll({ where: { expiresAt: { [Op.lt]: now } }, attributes: ['id'] });
+  const sessionIds = expiredSessions.map((session) => session.id);
+  if (sessionIds.length > 0) {
+    await RefreshToken.destroy({ where: { sessionId: { [Op.in]: sessionIds } } });
+    await Session.destroy({ where: { id: { [Op.in]: sessionIds } } });
+  }
+}
+
+module.exports = tokenCleanup;
@@ -0,0 +1,24 @@
+const { Op } = require('sequelize');
+const { Waitlist } = require('../models');
+const { WaitlistStatus } = require('../models/enums');
+const { releaseHold } = require('../services/waitlist');
+const { notify } = require('../services/notification');
+
+// 잡아두는 시간 안에 대여하지 않은 대기자의 사물함은 풀어서 다음 대기자에게 넘긴다
+async function waitlistHoldMonitor() {
+  const expiredWaitlists = await Waitlist.findAll({
+    where: {
+      status: WaitlistStatus.HOLDING,
+      holdExpiresAt: { [Op.lt]: new Date() },
+    },
+  });
+
+  for (const waitlist of expiredWaitlists) {
+    const releasedWaitlist = await releaseHold(waitlist.id, WaitlistStatus.EXPIRED);
+    if (releasedWaitlist) {
+      await notify(waitlist.userId, `사물함 ${waitlist.lockerId}번을 잡아두는 시간이 지나 대기가 종료되었습니다.`);
+    }
+  }
+}
+
+module.exports = waitlistHoldMonitor;
@@ -1,7 +1,9 @@
 class HttpException {
-  constructor(status, message) {
+  constructor(status, message, code) {
     this.status = status;
     this.message = message;
+    // 프론트엔드가 거절 사유를 구분할 수 있도록 보내는 값, 없으면 message 만 보낸다
+    this.code = code;
   }
 }
 
@@ -1,29 +1,46 @@
 const jwt = require('jsonwebtoken');
 const HttpException = require('./HttpException');
+const { isAccessTokenRevoked } = require('../services/authToken');
+const { findActiveSession, touchSession } = require('../services/session');
 
-const authenticateToken = (req, res, next) => {
-  const autherHeader = req.headers.authorization;
-  const token = autherHeader && autherHeader.split(' ')[1];
-
-  if (!token) {
-    throw new HttpException(400, 'Header에 JWT 토큰을 넣어야 합니다.');
-    return;
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET_KEY);
+  } catch (err) {
+    console.log(err.message);
+    if (err.message === 'jwt expired') {
+      throw new HttpException(401, '토큰 기한이 만료되었습니다.');
+    }
+    throw new HttpException(401, '잘못된 토큰입니다.');
   }
+}
 
-  jwt.verify(token, process.env.JWT_SECRET_KEY, (err, user) => {
-    if (err) {
-      console.log(err.message);
-      if (err.message === 'jwt expired') {
-        throw new HttpException(401, '토큰 기한이 만료되었습니다.');
-        return;
-      }
-      throw new HttpException(401, '잘못된 토큰입니다.');
-      return;
+const authenticateToken = async (req, res, next) => {
+  try {
+    const autherHeader = req.headers.authorization;
+    const token = autherHeader && autherHeader.split(' ')[1];
+
+    if (!token) {
+      throw new HttpException(400, 'Header에 JWT 토큰을 넣어야 합니다.');
     }
 
+    const user = verifyToken(token);
+    if (await isAccessTokenRevoked(token)) {
+      throw new HttpException(401, '로그아웃된 토큰입니다.');
+    }
+    // 세션이 폐기되면 그 세션에서 발급한 access token 은 만료 전이라도 바로 거절한다
+    const session = user.sid ? await findActiveSession(user.sid) : null;
+    if (!session) {
+      throw new HttpException(401, '로그아웃된 세션입니다. 다시 로그인 해주세요.');
+    }
+    await touchSession(session);
+
     req.user = user;
+    req.accessToken = token;
     next();
-  });
+  } catch (err) {
+    next(err);
+  }
 };
 
 module.exports = authenticateToken;
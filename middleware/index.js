@@ -1,9 +1,11 @@
 const authenticateToken = require('./authenticateToken');
 const authorityConfirmation = require('./authorityConfirmation');
+const kioskAuthentication = require('./kioskAuthentication');
 const HttpException = require('./HttpException');
 
 module.exports = {
   authenticateToken,
   authorityConfirmation,
+  kioskAuthentication,
   HttpException,
 };
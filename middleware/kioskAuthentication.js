@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const HttpException = require('./HttpException');
+
+// 길이가 달라도 비교 시간이 같도록 hash 를 비교해서 키를 한 글자씩 맞춰보지 못하게 한다
+function isSameKey(kioskKey, expectedKey) {
+  const hash = (key) => crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(hash(kioskKey), hash(expectedKey));
+}
+
+// 키오스크나 사물함 컨트롤러는 유저 토큰 대신 Header 의 x-kiosk-key 로 인증
+const kioskAuthentication = (req, res, next) => {
+  const kioskKey = req.headers['x-kiosk-key'];
+
+  if (!process.env.KIOSK_API_KEY) {
+    throw new HttpException(500, '서버에 키오스크 키가 설정되어 있지 않습니다.');
+    return;
+  }
+  if (!kioskKey) {
+    throw new HttpException(400, 'Header에 x-kiosk-key 를 넣어야 합니다.');
+    return;
+  }
+  if (!isSameKey(kioskKey, process.env.KIOSK_API_KEY)) {
+    throw new HttpException(401, '잘못된 키오스크 키입니다.');
+    return;
+  }
+  next();
+};
+
+module.exports = kioskAuthentication;
@@ -0,0 +1,31 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+const Line = sequelize.define(
+  'lines',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    color: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    operator: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = Line;
@@ -1,6 +1,8 @@
 const sequelize = require('../config/database');
 const { DataTypes } = require('sequelize');
 const LockerStatus = require('./enums/LockerStatus');
+const LockerSize = require('./enums/LockerSize');
+const DoorStatus = require('./enums/DoorStatus');
 
 const Locker = sequelize.define(
   'lockers',
@@ -22,6 +24,34 @@ const Locker = sequelize.define(
       type: DataTypes.ENUM(Object.values(LockerStatus)),
       defaultValue: LockerStatus.UNOCCUPIED,
     },
+    size: {
+      type: DataTypes.ENUM(Object.values(LockerSize)),
+      defaultValue: LockerSize.MEDIUM,
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    depth: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    doorStatus: {
+      type: DataTypes.ENUM(Object.values(DoorStatus)),
+      defaultValue: DoorStatus.CLOSED,
+    },
+    pinFailedAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    pinLockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
     isMyLocker: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
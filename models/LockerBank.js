@@ -0,0 +1,30 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const LockerBankStatus = require('./enums/LockerBankStatus');
+
+const LockerBank = sequelize.define(
+  'lockerBanks',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(LockerBankStatus)),
+      defaultValue: LockerBankStatus.OFFLINE,
+    },
+    lastHeartbeatAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = LockerBank;
@@ -0,0 +1,34 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const LockerCommandStatus = require('./enums/LockerCommandStatus');
+const LockerCommandType = require('./enums/LockerCommandType');
+
+const LockerCommand = sequelize.define(
+  'lockerCommands',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    command: {
+      type: DataTypes.ENUM(Object.values(LockerCommandType)),
+    },
+    reason: {
+      type: DataTypes.STRING,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(LockerCommandStatus)),
+      defaultValue: LockerCommandStatus.PENDING,
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = LockerCommand;
@@ -0,0 +1,31 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const LockerTransferStatus = require('./enums/LockerTransferStatus');
+
+const LockerTransfer = sequelize.define(
+  'lockerTransfers',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(LockerTransferStatus)),
+      defaultValue: LockerTransferStatus.PENDING,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = LockerTransfer;
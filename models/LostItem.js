@@ -0,0 +1,47 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const LostItemStatus = require('./enums/LostItemStatus');
+
+const LostItem = sequelize.define(
+  'lostItems',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    items: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    storageLocation: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    pickupDeadline: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(LostItemStatus)),
+      defaultValue: LostItemStatus.HELD,
+    },
+    claimedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    collectedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    disposedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = LostItem;
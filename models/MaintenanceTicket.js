@@ -0,0 +1,52 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const MaintenanceCategory = require('./enums/MaintenanceCategory');
+const MaintenanceTicketStatus = require('./enums/MaintenanceTicketStatus');
+
+const MaintenanceTicket = sequelize.define(
+  'maintenanceTickets',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    category: {
+      type: DataTypes.ENUM(Object.values(MaintenanceCategory)),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(MaintenanceTicketStatus)),
+      defaultValue: MaintenanceTicketStatus.OPEN,
+    },
+    technician: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    openedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    resolutionNote: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = MaintenanceTicket;
@@ -0,0 +1,26 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+const Notification = sequelize.define(
+  'notifications',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    message: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = Notification;
@@ -0,0 +1,32 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// 메일로 보낸 재설정 token 은 sha256 hash 만 저장하고, 쓰고 나면 usedAt 을 남겨 다시 쓸 수 없게 한다
+const PasswordResetToken = sequelize.define(
+  'passwordResetTokens',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = PasswordResetToken;
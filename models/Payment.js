@@ -0,0 +1,38 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const PaymentStatus = require('./enums/PaymentStatus');
+
+const Payment = sequelize.define(
+  'payments',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    provider: {
+      type: DataTypes.STRING,
+    },
+    transactionId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(PaymentStatus)),
+    },
+    // 요금을 계산한 대여 종료 시간, 반납할 때 서버 시간으로 정한 대여의 endDateTime 과 같다
+    chargedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = Payment;
@@ -0,0 +1,32 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// refresh token 은 sha256 hash 만 저장, 한 번 로그인에서 재발급된 token 들은 같은 sessionId 를 가진다
+const RefreshToken = sequelize.define(
+  'refreshTokens',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = RefreshToken;
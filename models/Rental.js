@@ -0,0 +1,66 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const RentalStatus = require('./enums/RentalStatus');
+
+const Rental = sequelize.define(
+  'rentals',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    startDateTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    expectedEndDateTime: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    endDateTime: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    expectedAmount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(RentalStatus)),
+      defaultValue: RentalStatus.ACTIVE,
+    },
+    isOverdue: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    lateFee: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    // 연체가 길어져 사물함을 관리중으로 넘긴 시간, 이 뒤로는 연체료를 다시 계산하지 않는다
+    escalatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    pinHash: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+    defaultScope: {
+      attributes: { exclude: ['pinHash'] },
+    },
+    scopes: {
+      withPin: {},
+    },
+  },
+);
+
+module.exports = Rental;
@@ -0,0 +1,31 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const ReservationStatus = require('./enums/ReservationStatus');
+
+const Reservation = sequelize.define(
+  'reservations',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    startDateTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    endDateTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(ReservationStatus)),
+      defaultValue: ReservationStatus.RESERVED,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = Reservation;
@@ -0,0 +1,39 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// 로그인 한 번이 세션 하나, access token 의 sid 와 refresh token 의 sessionId 가 이 세션을 가리킨다
+const Session = sequelize.define(
+  'sessions',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = Session;
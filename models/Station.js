@@ -18,6 +18,10 @@ const Station = sequelize.define(
     longitude: {
       type: DataTypes.DECIMAL(23, 20),
     },
+    maxRentalHours: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   },
   {
     underscored: true,
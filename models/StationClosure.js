@@ -0,0 +1,30 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+const StationClosure = sequelize.define(
+  'stationClosures',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    startDateTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    endDateTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = StationClosure;
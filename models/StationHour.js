@@ -0,0 +1,32 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// 요일별 운영 시간, closeTime 이 openTime 보다 이르면 다음날 새벽까지 운영
+const StationHour = sequelize.define(
+  'stationHours',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    dayOfWeek: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    openTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+    },
+    closeTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+    },
+  },
+  {
+    underscored: true,
+    indexes: [{ unique: true, fields: ['station_id', 'day_of_week'] }],
+  },
+);
+
+module.exports = StationHour;
@@ -0,0 +1,36 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// 공휴일처럼 특정 날짜에만 요일별 운영 시간 대신 적용하는 운영 시간, openTime 이 없으면 하루 종일 휴무
+const StationHourException = sequelize.define(
+  'stationHourExceptions',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    openTime: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    closeTime: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+    indexes: [{ unique: true, fields: ['station_id', 'date'] }],
+  },
+);
+
+module.exports = StationHourException;
@@ -0,0 +1,31 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+// 역과 노선의 연결, 환승역은 노선마다 한 줄씩 가진다
+const StationLine = sequelize.define(
+  'stationLines',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    stationCode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['station_id', 'line_id'] },
+      { unique: true, fields: ['line_id', 'sequence'] },
+    ],
+  },
+);
+
+module.exports = StationLine;
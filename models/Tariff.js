@@ -0,0 +1,40 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const LockerSize = require('./enums/LockerSize');
+
+const Tariff = sequelize.define(
+  'tariffs',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    size: {
+      type: DataTypes.ENUM(Object.values(LockerSize)),
+      allowNull: false,
+    },
+    baseHours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    baseFee: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    hourlyRate: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    dailyCap: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    underscored: true,
+    indexes: [{ unique: true, fields: ['station_id', 'size'] }],
+  },
+);
+
+module.exports = Tariff;
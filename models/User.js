@@ -19,6 +19,18 @@ const User = sequelize.define(
     authority: {
       type: DataTypes.ENUM(Object.values(UserAuthority)),
     },
+    isSuspended: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    suspendedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    suspensionReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
   },
   {
     underscored: true,
@@ -0,0 +1,32 @@
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+const WaitlistStatus = require('./enums/WaitlistStatus');
+const LockerSize = require('./enums/LockerSize');
+
+const Waitlist = sequelize.define(
+  'waitlists',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    size: {
+      type: DataTypes.ENUM(Object.values(LockerSize)),
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(Object.values(WaitlistStatus)),
+      defaultValue: WaitlistStatus.WAITING,
+    },
+    holdExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    underscored: true,
+  },
+);
+
+module.exports = Waitlist;
@@ -0,0 +1,7 @@
+const ControllerEventType = {
+  HEARTBEAT: 'heartbeat',
+  DOOR_OPENED: 'door opened',
+  DOOR_CLOSED: 'door closed',
+};
+
+module.exports = ControllerEventType;
@@ -0,0 +1,6 @@
+const DoorStatus = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+module.exports = DoorStatus;
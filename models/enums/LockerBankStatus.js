@@ -0,0 +1,6 @@
+const LockerBankStatus = {
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+};
+
+module.exports = LockerBankStatus;
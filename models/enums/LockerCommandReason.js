@@ -0,0 +1,7 @@
+const LockerCommandReason = {
+  RENTAL_STARTED: 'rental started',
+  RENTAL_ENDED: 'rental ended',
+  PIN_VERIFIED: 'pin verified',
+};
+
+module.exports = LockerCommandReason;
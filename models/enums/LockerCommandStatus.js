@@ -0,0 +1,7 @@
+const LockerCommandStatus = {
+  PENDING: 'pending',
+  ACKNOWLEDGED: 'acknowledged',
+  FAILED: 'failed',
+};
+
+module.exports = LockerCommandStatus;
@@ -0,0 +1,5 @@
+const LockerCommandType = {
+  UNLOCK: 'unlock',
+};
+
+module.exports = LockerCommandType;
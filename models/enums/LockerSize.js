@@ -0,0 +1,8 @@
+const LockerSize = {
+  SMALL: 'small',
+  MEDIUM: 'medium',
+  LARGE: 'large',
+  OVERSIZED: 'oversized',
+};
+
+module.exports = LockerSize;
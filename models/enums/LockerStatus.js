@@ -2,6 +2,9 @@ const LockerStatus = {
   UNOCCUPIED: 'unoccupied',
   UNDER_MANAGEMENT: 'under management',
   OCCUPIED: 'occupied',
+  RESERVED: 'reserved',
+  // 대기 순번 유저를 위해 잠시 잡아둔 사물함
+  HELD: 'held',
 };
 
 module.exports = LockerStatus;
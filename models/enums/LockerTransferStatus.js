@@ -0,0 +1,9 @@
+const LockerTransferStatus = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+};
+
+module.exports = LockerTransferStatus;
@@ -0,0 +1,8 @@
+const LostItemStatus = {
+  HELD: 'held',
+  CLAIMED: 'claimed',
+  COLLECTED: 'collected',
+  DISPOSED: 'disposed',
+};
+
+module.exports = LostItemStatus;
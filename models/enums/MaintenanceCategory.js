@@ -0,0 +1,9 @@
+const MaintenanceCategory = {
+  BROKEN_DOOR: 'broken door',
+  BROKEN_LOCK: 'broken lock',
+  CLEANING: 'cleaning',
+  ABANDONED_ITEMS: 'abandoned items',
+  OTHER: 'other',
+};
+
+module.exports = MaintenanceCategory;
@@ -0,0 +1,7 @@
+const MaintenanceTicketStatus = {
+  REPORTED: 'reported',
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+module.exports = MaintenanceTicketStatus;
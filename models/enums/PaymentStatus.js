@@ -0,0 +1,6 @@
+const PaymentStatus = {
+  PAID: 'paid',
+  FAILED: 'failed',
+};
+
+module.exports = PaymentStatus;
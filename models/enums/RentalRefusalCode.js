@@ -0,0 +1,9 @@
+const RentalRefusalCode = {
+  ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+  UNPAID_FEES: 'UNPAID_FEES',
+  OVERDUE_RENTAL: 'OVERDUE_RENTAL',
+  RENTAL_LIMIT_REACHED: 'RENTAL_LIMIT_REACHED',
+  STATION_CLOSED: 'STATION_CLOSED',
+};
+
+module.exports = RentalRefusalCode;
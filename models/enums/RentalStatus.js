@@ -0,0 +1,10 @@
+const RentalStatus = {
+  ACTIVE: 'active',
+  RETURNED: 'returned',
+  // 반납되지 않은 사물함을 직원이 비워서 종료된 대여
+  CLEARED: 'cleared',
+  // 다른 유저에게 양도되어 종료된 대여, 요금은 양도받은 유저의 대여로 넘어간다
+  TRANSFERRED: 'transferred',
+};
+
+module.exports = RentalStatus;
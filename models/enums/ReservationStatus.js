@@ -0,0 +1,8 @@
+const ReservationStatus = {
+  RESERVED: 'reserved',
+  CHECKED_IN: 'checked in',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no show',
+};
+
+module.exports = ReservationStatus;
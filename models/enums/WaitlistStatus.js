@@ -0,0 +1,9 @@
+const WaitlistStatus = {
+  WAITING: 'waiting',
+  HOLDING: 'holding',
+  FULFILLED: 'fulfilled',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+};
+
+module.exports = WaitlistStatus;
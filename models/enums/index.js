@@ -1,7 +1,39 @@
 const LockerStatus = require('./LockerStatus');
 const UserAuthority = require('./UserAuthority');
+const RentalStatus = require('./RentalStatus');
+const ReservationStatus = require('./ReservationStatus');
+const LockerSize = require('./LockerSize');
+const PaymentStatus = require('./PaymentStatus');
+const LockerBankStatus = require('./LockerBankStatus');
+const DoorStatus = require('./DoorStatus');
+const LockerCommandStatus = require('./LockerCommandStatus');
+const ControllerEventType = require('./ControllerEventType');
+const LockerCommandType = require('./LockerCommandType');
+const LockerCommandReason = require('./LockerCommandReason');
+const WaitlistStatus = require('./WaitlistStatus');
+const MaintenanceCategory = require('./MaintenanceCategory');
+const MaintenanceTicketStatus = require('./MaintenanceTicketStatus');
+const LostItemStatus = require('./LostItemStatus');
+const LockerTransferStatus = require('./LockerTransferStatus');
+const RentalRefusalCode = require('./RentalRefusalCode');
 
 module.exports = {
   LockerStatus,
   UserAuthority,
+  RentalStatus,
+  ReservationStatus,
+  LockerSize,
+  PaymentStatus,
+  LockerBankStatus,
+  DoorStatus,
+  LockerCommandStatus,
+  ControllerEventType,
+  LockerCommandType,
+  LockerCommandReason,
+  WaitlistStatus,
+  MaintenanceCategory,
+  MaintenanceTicketStatus,
+  LostItemStatus,
+  LockerTransferStatus,
+  RentalRefusalCode,
 };
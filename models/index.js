@@ -5,6 +5,25 @@ const Post = require('./Post');
 const Comment = require('./Comment');
 const BlackList = require('./BlackList');
 const Admin = require('./Admin');
+const Rental = require('./Rental');
+const Reservation = require('./Reservation');
+const Tariff = require('./Tariff');
+const Payment = require('./Payment');
+const LockerBank = require('./LockerBank');
+const LockerCommand = require('./LockerCommand');
+const Waitlist = require('./Waitlist');
+const Notification = require('./Notification');
+const MaintenanceTicket = require('./MaintenanceTicket');
+const LostItem = require('./LostItem');
+const LockerTransfer = require('./LockerTransfer');
+const Line = require('./Line');
+const StationLine = require('./StationLine');
+const StationHour = require('./StationHour');
+const StationHourException = require('./StationHourException');
+const StationClosure = require('./StationClosure');
+const RefreshToken = require('./RefreshToken');
+const Session = require('./Session');
+const PasswordResetToken = require('./PasswordResetToken');
 
 // posts and comment
 Post.hasMany(Comment, { foreignKey: 'postId' });
@@ -22,6 +41,120 @@ Locker.belongsTo(User, { foreignKey: 'userId' });
 User.hasMany(Post, { foreignKey: 'userId' });
 Post.belongsTo(User, { foreignKey: 'userId' });
 
+// rentals
+User.hasMany(Rental, { foreignKey: 'userId' });
+Rental.belongsTo(User, { foreignKey: 'userId' });
+Locker.hasMany(Rental, { foreignKey: 'lockerId' });
+Rental.belongsTo(Locker, { foreignKey: 'lockerId' });
+Station.hasMany(Rental, { foreignKey: 'stationId' });
+Rental.belongsTo(Station, { foreignKey: 'stationId' });
+
+// reservations
+User.hasMany(Reservation, { foreignKey: 'userId' });
+Reservation.belongsTo(User, { foreignKey: 'userId' });
+Locker.hasMany(Reservation, { foreignKey: 'lockerId' });
+Reservation.belongsTo(Locker, { foreignKey: 'lockerId' });
+Station.hasMany(Reservation, { foreignKey: 'stationId' });
+Reservation.belongsTo(Station, { foreignKey: 'stationId' });
+Rental.hasOne(Reservation, { foreignKey: 'rentalId' });
+Reservation.belongsTo(Rental, { foreignKey: 'rentalId' });
+
+// tariffs and payments
+Station.hasMany(Tariff, { foreignKey: 'stationId' });
+Tariff.belongsTo(Station, { foreignKey: 'stationId' });
+Rental.hasMany(Payment, { foreignKey: 'rentalId' });
+Payment.belongsTo(Rental, { foreignKey: 'rentalId' });
+User.hasMany(Payment, { foreignKey: 'userId' });
+Payment.belongsTo(User, { foreignKey: 'userId' });
+
+// locker controllers
+Station.hasOne(LockerBank, { foreignKey: 'stationId' });
+LockerBank.belongsTo(Station, { foreignKey: 'stationId' });
+LockerBank.hasMany(LockerCommand, { foreignKey: 'lockerBankId' });
+LockerCommand.belongsTo(LockerBank, { foreignKey: 'lockerBankId' });
+Locker.hasMany(LockerCommand, { foreignKey: 'lockerId' });
+LockerCommand.belongsTo(Locker, { foreignKey: 'lockerId' });
+
+// waitlists and notifications
+User.hasMany(Waitlist, { foreignKey: 'userId' });
+Waitlist.belongsTo(User, { foreignKey: 'userId' });
+Station.hasMany(Waitlist, { foreignKey: 'stationId' });
+Waitlist.belongsTo(Station, { foreignKey: 'stationId' });
+Locker.hasMany(Waitlist, { foreignKey: 'lockerId' });
+Waitlist.belongsTo(Locker, { foreignKey: 'lockerId' });
+User.hasMany(Notification, { foreignKey: 'userId' });
+Notification.belongsTo(User, { foreignKey: 'userId' });
+
+// maintenance tickets
+Locker.hasMany(MaintenanceTicket, { foreignKey: 'lockerId' });
+MaintenanceTicket.belongsTo(Locker, { foreignKey: 'lockerId' });
+Station.hasMany(MaintenanceTicket, { foreignKey: 'stationId' });
+MaintenanceTicket.belongsTo(Station, { foreignKey: 'stationId' });
+Admin.hasMany(MaintenanceTicket, { foreignKey: 'reportedByAdminId' });
+MaintenanceTicket.belongsTo(Admin, { foreignKey: 'reportedByAdminId' });
+User.hasMany(MaintenanceTicket, { foreignKey: 'reportedByUserId' });
+MaintenanceTicket.belongsTo(User, { foreignKey: 'reportedByUserId' });
+
+// lost and found
+Locker.hasMany(LostItem, { foreignKey: 'lockerId' });
+LostItem.belongsTo(Locker, { foreignKey: 'lockerId' });
+Station.hasMany(LostItem, { foreignKey: 'stationId' });
+LostItem.belongsTo(Station, { foreignKey: 'stationId' });
+User.hasMany(LostItem, { foreignKey: 'userId' });
+LostItem.belongsTo(User, { foreignKey: 'userId' });
+Rental.hasOne(LostItem, { foreignKey: 'rentalId' });
+LostItem.belongsTo(Rental, { foreignKey: 'rentalId' });
+MaintenanceTicket.hasMany(LostItem, { foreignKey: 'maintenanceTicketId' });
+LostItem.belongsTo(MaintenanceTicket, { foreignKey: 'maintenanceTicketId' });
+Admin.hasMany(LostItem, { foreignKey: 'registeredByAdminId' });
+LostItem.belongsTo(Admin, { foreignKey: 'registeredByAdminId' });
+
+// locker transfers
+Locker.hasMany(LockerTransfer, { foreignKey: 'lockerId' });
+LockerTransfer.belongsTo(Locker, { foreignKey: 'lockerId' });
+Rental.hasMany(LockerTransfer, { foreignKey: 'rentalId' });
+LockerTransfer.belongsTo(Rental, { foreignKey: 'rentalId' });
+Rental.hasOne(LockerTransfer, { as: 'receivedTransfer', foreignKey: 'newRentalId' });
+LockerTransfer.belongsTo(Rental, { as: 'newRental', foreignKey: 'newRentalId' });
+User.hasMany(LockerTransfer, { as: 'sentTransfers', foreignKey: 'fromUserId' });
+LockerTransfer.belongsTo(User, { as: 'fromUser', foreignKey: 'fromUserId' });
+User.hasMany(LockerTransfer, { as: 'receivedTransfers', foreignKey: 'toUserId' });
+LockerTransfer.belongsTo(User, { as: 'toUser', foreignKey: 'toUserId' });
+
+// subway lines
+Station.belongsToMany(Line, { through: StationLine, foreignKey: 'stationId' });
+Line.belongsToMany(Station, { through: StationLine, foreignKey: 'lineId' });
+Station.hasMany(StationLine, { foreignKey: 'stationId' });
+StationLine.belongsTo(Station, { foreignKey: 'stationId' });
+Line.hasMany(StationLine, { foreignKey: 'lineId' });
+StationLine.belongsTo(Line, { foreignKey: 'lineId' });
+
+// station operating hours
+Station.hasMany(StationHour, { foreignKey: 'stationId' });
+StationHour.belongsTo(Station, { foreignKey: 'stationId' });
+Station.hasMany(StationHourException, { foreignKey: 'stationId' });
+StationHourException.belongsTo(Station, { foreignKey: 'stationId' });
+Station.hasMany(StationClosure, { foreignKey: 'stationId' });
+StationClosure.belongsTo(Station, { foreignKey: 'stationId' });
+
+// sessions and refresh tokens
+User.hasMany(Session, { foreignKey: 'userId' });
+Session.belongsTo(User, { foreignKey: 'userId' });
+Admin.hasMany(Session, { foreignKey: 'adminId' });
+Session.belongsTo(Admin, { foreignKey: 'adminId' });
+Session.hasMany(RefreshToken, { foreignKey: 'sessionId' });
+RefreshToken.belongsTo(Session, { foreignKey: 'sessionId' });
+User.hasMany(RefreshToken, { foreignKey: 'userId' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId' });
+Admin.hasMany(RefreshToken, { foreignKey: 'adminId' });
+RefreshToken.belongsTo(Admin, { foreignKey: 'adminId' });
+
+// password reset tokens
+User.hasMany(PasswordResetToken, { foreignKey: 'userId' });
+PasswordResetToken.belongsTo(User, { foreignKey: 'userId' });
+Admin.hasMany(PasswordResetToken, { foreignKey: 'adminId' });
+PasswordResetToken.belongsTo(Admin, { foreignKey: 'adminId' });
+
 // admin and comment
 Admin.hasMany(Comment, { foreignKey: 'adminId' });
 Comment.belongsTo(Admin, { foreignKey: 'adminId' });
@@ -34,4 +167,23 @@ module.exports = {
   Comment,
   BlackList,
   Admin,
+  Rental,
+  Reservation,
+  Tariff,
+  Payment,
+  LockerBank,
+  LockerCommand,
+  Waitlist,
+  Notification,
+  MaintenanceTicket,
+  LostItem,
+  LockerTransfer,
+  Line,
+  StationLine,
+  StationHour,
+  StationHourException,
+  StationClosure,
+  RefreshToken,
+  Session,
+  PasswordResetToken,
 };
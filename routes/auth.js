@@ -1,12 +1,14 @@
-const { User, BlackList, Admin } = require('../models');
+const { User, Admin, RefreshToken, Session } = require('../models');
 const sequelize = require('../config/database');
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { authenticateToken, HttpException } = require('../middleware');
 const { UserAuthority } = require('../models/enums');
-const { signUpEmailPasswordValidation, asyncHandler } = require('../functions');
+const { signUpEmailPasswordValidation, passwordValidation, asyncHandler } = require('../functions');
+const { issueTokens, findRefreshToken, refreshTokenExpiresAt, revokeAccessToken } = require('../services/authToken');
+const { createSession, findActiveSession, revokeSession, revokeAccountSessions } = require('../services/session');
+const { requestPasswordReset, usePasswordResetToken } = require('../services/passwordReset');
 
 /**
  * @swagger
@@ -171,7 +173,7 @@ router.post(
  *
  *     responses:
  *       201:
- *         description: 받은 이메일 주소와 비밀번호 일치, 로그인 성공, access token 은 local storage 에 저장
+ *         description: 받은 이메일 주소와 비밀번호 일치, 로그인 성공, 기기의 user-agent 와 IP 로 세션을 만들고 access token 과 refresh token 은 local storage 에 저장
  *         content:
  *           application/json:
  *             schema:
@@ -179,6 +181,13 @@ router.post(
  *                 accessToken:
  *                   type: string
  *                   example: "jwt-access-token"
+ *                   description: 짧은 시간 동안 쓰는 토큰, 만료되면 /auth/refresh 로 다시 발급
+ *                 refreshToken:
+ *                   type: string
+ *                   description: 한 번만 쓸 수 있는 재발급용 토큰, 서버에는 hash 만 저장
+ *                 authority:
+ *                   type: string
+ *                   enum: ["user", "admin"]
  *
  */
 
@@ -208,37 +217,98 @@ router.post(
         throw new HttpException(401, '비밀번호가 틀렸습니다.');
       }
 
-      const accessToken = jwt.sign(
-        {
-          id: signIn.id,
-          email: signIn.email,
-          authority: signIn.authority,
-        },
-        process.env.JWT_SECRET_KEY,
-        {
-          expiresIn: '1d',
-        },
-      );
+      const session = await createSession(signIn, req);
+      const { accessToken, refreshToken } = await issueTokens(signIn, session.id);
+      res.status(201).send({ accessToken, refreshToken, authority: signIn.authority });
+    });
+  }),
+);
 
-      const ondDayTimeStamp = 24 * 60 * 60 * 1000;
-      const expiryDate = Date.now() + ondDayTimeStamp;
-      await BlackList.create({
-        accessToken,
-        expiryDate,
-      });
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: access token 재발급
+ *     description: refresh token 은 한 번만 쓸 수 있고 새 refresh token 을 함께 발급, 이미 쓴 refresh token 이 다시 오면 탈취된 것으로 보고 그 세션을 폐기
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 재발급 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 authority:
+ *                   type: string
+ *                   enum: ["user", "admin"]
+ *       401:
+ *         description: 없거나 만료되었거나 폐기된 refresh token, 또는 로그아웃된 세션
+ */
+router.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new HttpException(400, 'refreshToken 을 입력 해주세요.');
+    }
+
+    const tokens = await sequelize.transaction(async () => {
+      const storedToken = await findRefreshToken(refreshToken, { lock: true });
+      if (!storedToken) {
+        throw new HttpException(401, '잘못된 refresh token 입니다.');
+      }
+      if (storedToken.revokedAt) {
+        await revokeSession(storedToken.sessionId);
+        return null;
+      }
+      if (storedToken.expiresAt.getTime() <= Date.now()) {
+        throw new HttpException(401, 'refresh token 기한이 만료되었습니다.');
+      }
+      const session = await findActiveSession(storedToken.sessionId, { lock: true });
+      if (!session) {
+        throw new HttpException(401, '로그아웃된 세션입니다. 다시 로그인 해주세요.');
+      }
 
-      res.status(201).send({ accessToken, authority: signIn.authority });
+      const account = storedToken.adminId
+        ? await Admin.findByPk(storedToken.adminId)
+        : await User.findByPk(storedToken.userId);
+      if (!account) {
+        throw new HttpException(401, '탈퇴한 계정입니다.');
+      }
+
+      const now = new Date();
+      await RefreshToken.update({ revokedAt: now }, { where: { id: storedToken.id } });
+      await Session.update({ lastUsedAt: now, expiresAt: refreshTokenExpiresAt(now) }, { where: { id: session.id } });
+      const newTokens = await issueTokens(account, session.id);
+      return { ...newTokens, authority: account.authority };
     });
+
+    // 폐기한 token 이 트랜잭션과 함께 되돌려지지 않도록 트랜잭션이 끝난 뒤에 거절한다
+    if (!tokens) {
+      throw new HttpException(401, '이미 사용된 refresh token 입니다. 다시 로그인 해주세요.');
+    }
+    res.status(201).send(tokens);
   }),
 );
 
 /**
  * @swagger
- * /auth/sign-out:
- *   delete:
- *     summary: 로그아웃
+ * /auth/password-reset/request:
+ *   post:
+ *     summary: 비밀번호 재설정 메일 요청
+ *     description: 유저와 관리자 모두 가능, 가입된 email 이면 재설정 링크를 메일로 보냄. 가입 여부가 드러나지 않도록 email 이 없어도 같은 응답을 보냄
  *     requestBody:
- *       description: 로그아웃을 위해 필요한 이메일 주소요청 및 access token 가져오기
  *       required: true
  *       content:
  *         application/json:
@@ -247,17 +317,102 @@ router.post(
  *               email:
  *                 type: string
  *                 format: email
- *
+ *     responses:
+ *       202:
+ *         description: 요청 접수
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 message:
+ *                   type: string
+ */
+router.post(
+  '/password-reset/request',
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      throw new HttpException(400, 'email 을 입력 해주세요.');
+    }
+
+    // 메일을 보내는 시간으로 가입 여부가 드러나지 않도록 기다리지 않고 바로 응답한다
+    requestPasswordReset(email).catch((err) => console.error('비밀번호 재설정 메일을 보내지 못했습니다.', err));
+    res.status(202).send({ message: '가입된 email 이면 비밀번호 재설정 메일을 보냈습니다.' });
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/password-reset/confirm:
+ *   post:
+ *     summary: 비밀번호 재설정
+ *     description: 메일로 받은 token 은 한 번만 쓸 수 있고, 재설정하면 그 계정의 모든 세션이 로그아웃됨
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       204:
+ *         description: 재설정 성공
+ *       400:
+ *         description: 없거나 이미 썼거나 만료된 token, 또는 규칙에 맞지 않는 비밀번호
+ */
+router.post(
+  '/password-reset/confirm',
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || typeof token !== 'string') {
+      throw new HttpException(400, 'token 을 입력 해주세요.');
+    }
+    if (!password || typeof password !== 'string') {
+      throw new HttpException(400, 'password 를 입력 해주세요.');
+    }
+    const isValidPassword = passwordValidation(password);
+    if (!isValidPassword.validation) {
+      throw new HttpException(isValidPassword.statusCode, isValidPassword.message);
+    }
+
+    await sequelize.transaction(async () => {
+      const account = await usePasswordResetToken(token);
+      if (!account) {
+        throw new HttpException(400, '유효하지 않거나 만료된 비밀번호 재설정 token 입니다.');
+      }
+
+      const saltRounds = parseInt(process.env.SALT_ROUNDS);
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+      await account.update({ password: hashedPassword });
+      await revokeAccountSessions(account);
+    });
+    res.status(204).send();
+  }),
+);
+
+/**
+ * @swagger
+ * /auth/sign-out:
+ *   delete:
+ *     summary: 로그아웃
+ *     description: 지금 쓰는 access token 을 BlackList 에 올리고 지금 세션과 세션의 refresh token 을 폐기
  *     responses:
  *       204:
- *         description: 로그아웃 성공 - 받은 이메일 주소와 access token 일치, local storage 에 있는 access token 삭제
+ *         description: 로그아웃 성공, local storage 에 있는 access token 과 refresh token 삭제
  */
 
 router.delete(
   '/sign-out',
   authenticateToken,
   asyncHandler(async (req, res) => {
-    // 로그아웃을 언제했는 지 저장하는 로직추가 필요
+    await sequelize.transaction(async () => {
+      await revokeAccessToken(req.accessToken, req.user.exp);
+      await revokeSession(req.user.sid);
+    });
     res.status(204).send();
   }),
 );
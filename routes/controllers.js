@@ -0,0 +1,281 @@
+const { Station, LockerBank, LockerCommand } = require('../models');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, kioskAuthentication, HttpException } = require('../middleware');
+const { UserAuthority, ControllerEventType, LockerCommandStatus } = require('../models/enums');
+const { asyncHandler } = require('../functions');
+const lockerController = require('../services/lockerController');
+
+async function findLockerBank(id) {
+  const lockerBankId = Number(id);
+  if (!Number.isInteger(lockerBankId) || lockerBankId <= 0) {
+    throw new HttpException(400, '유효한 controller id 를 숫자로 입력해주세요.');
+  }
+  const lockerBank = await LockerBank.findByPk(lockerBankId);
+  if (!lockerBank) {
+    throw new HttpException(404, `등록되지 않은 controller ${lockerBankId} 입니다.`);
+  }
+  return lockerBank;
+}
+
+/**
+ * @swagger
+ * /controllers/register:
+ *   post:
+ *     summary: 역의 사물함 뱅크 컨트롤러 등록
+ *     description: Header 의 x-kiosk-key 로 인증, 이미 등록된 역이면 이름과 상태만 갱신
+ *     parameters:
+ *       - in: header
+ *         name: x-kiosk-key
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               stationId:
+ *                 type: number
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 등록 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 stationId:
+ *                   type: number
+ *                 name:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "online"
+ *                 lastHeartbeatAt:
+ *                   type: string
+ *                   format: date-time
+ */
+router.post(
+  '/register',
+  kioskAuthentication,
+  asyncHandler(async (req, res) => {
+    const { stationId, name } = req.body;
+    if (!stationId || !name) {
+      throw new HttpException(400, 'stationId 와 name 을 모두 입력해주세요.');
+    }
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+
+    const station = await Station.findByPk(stationId);
+    if (!station) {
+      throw new HttpException(404, '해당하는 역은 등록되어 있지 않습니다.');
+    }
+
+    const lockerBank = await lockerController.registerLockerBank(stationId, name);
+    res.status(201).send(lockerBank);
+  }),
+);
+
+/**
+ * @swagger
+ * /controllers/{id}/events:
+ *   post:
+ *     summary: 컨트롤러의 heartbeat, 문 열림/닫힘 이벤트 보고
+ *     description: Header 의 x-kiosk-key 로 인증, 모든 이벤트는 heartbeat 로도 처리
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: header
+ *         name: x-kiosk-key
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [heartbeat, door opened, door closed]
+ *               lockerId:
+ *                 type: number
+ *                 description: 문 열림/닫힘 이벤트일 때 필요
+ *     responses:
+ *       204:
+ *         description: 이벤트 처리 성공
+ */
+router.post(
+  '/:id/events',
+  kioskAuthentication,
+  asyncHandler(async (req, res) => {
+    const { type, lockerId } = req.body;
+    if (!Object.values(ControllerEventType).includes(type)) {
+      throw new HttpException(
+        400,
+        `type 값은 다음과 같은 값만 입력해주세요. ${Object.values(ControllerEventType).join(', ')}`,
+      );
+    }
+    if (type !== ControllerEventType.HEARTBEAT && (!Number.isInteger(lockerId) || lockerId <= 0)) {
+      throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
+    }
+
+    const lockerBank = await findLockerBank(req.params.id);
+    await lockerController.handleEvent(lockerBank, { type, lockerId });
+    res.status(204).send();
+  }),
+);
+
+/**
+ * @swagger
+ * /controllers/{id}/commands:
+ *   get:
+ *     summary: 컨트롤러가 처리할 대기 중인 명령 조회
+ *     description: Header 의 x-kiosk-key 로 인증, 같은 프로세스의 드라이버(시뮬레이터)가 없는 실제 장비는 이 API 로 명령을 가져감
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: header
+ *         name: x-kiosk-key
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   lockerId:
+ *                     type: number
+ *                   command:
+ *                     type: string
+ *                     example: "unlock"
+ *                   reason:
+ *                     type: string
+ *                     example: "rental started"
+ *                   status:
+ *                     type: string
+ *                     example: "pending"
+ */
+router.get(
+  '/:id/commands',
+  kioskAuthentication,
+  asyncHandler(async (req, res) => {
+    const lockerBank = await findLockerBank(req.params.id);
+    const lockerCommands = await LockerCommand.findAll({
+      where: { lockerBankId: lockerBank.id, status: LockerCommandStatus.PENDING },
+      order: [['createdAt', 'ASC']],
+    });
+    res.status(200).send(lockerCommands);
+  }),
+);
+
+/**
+ * @swagger
+ * /controllers/{id}/commands/{commandId}/ack:
+ *   post:
+ *     summary: 컨트롤러가 명령 처리 완료를 알림
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: path
+ *         name: commandId
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: header
+ *         name: x-kiosk-key
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: 처리 완료
+ */
+router.post(
+  '/:id/commands/:commandId/ack',
+  kioskAuthentication,
+  asyncHandler(async (req, res) => {
+    const lockerBank = await findLockerBank(req.params.id);
+    const lockerCommandId = Number(req.params.commandId);
+    if (!Number.isInteger(lockerCommandId) || lockerCommandId <= 0) {
+      throw new HttpException(400, '유효한 commandId 를 숫자로 입력해주세요.');
+    }
+
+    const lockerCommand = await LockerCommand.findOne({
+      where: { id: lockerCommandId, lockerBankId: lockerBank.id },
+    });
+    if (!lockerCommand) {
+      throw new HttpException(404, `명령 ${lockerCommandId} 는 없습니다.`);
+    }
+
+    await lockerController.acknowledgeCommand(lockerCommandId);
+    res.status(204).send();
+  }),
+);
+
+/**
+ * @swagger
+ * /controllers:
+ *   get:
+ *     summary: 등록된 사물함 뱅크 컨트롤러 목록
+ *     description: 관리자 권한필요
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   stationId:
+ *                     type: number
+ *                   name:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [online, offline]
+ *                   lastHeartbeatAt:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const lockerBanks = await LockerBank.findAll({
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    res.status(200).send(lockerBanks);
+  }),
+);
+
+module.exports = router;
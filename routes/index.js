@@ -4,6 +4,16 @@ const userRouter = require('./user');
 const postsRouter = require('./posts');
 const commentsRouter = require('./comments');
 const stationsRouter = require('./stations');
+const reservationsRouter = require('./reservations');
+const controllersRouter = require('./controllers');
+const rentalsRouter = require('./rentals');
+const waitlistsRouter = require('./waitlists');
+const notificationsRouter = require('./notifications');
+const maintenanceTicketsRouter = require('./maintenanceTickets');
+const lostItemsRouter = require('./lostItems');
+const transfersRouter = require('./transfers');
+const linesRouter = require('./lines');
+const sessionsRouter = require('./sessions');
 
 module.exports = {
   lockerRouter,
@@ -12,4 +22,14 @@ module.exports = {
   postsRouter,
   commentsRouter,
   stationsRouter,
+  reservationsRouter,
+  controllersRouter,
+  rentalsRouter,
+  waitlistsRouter,
+  notificationsRouter,
+  maintenanceTicketsRouter,
+  lostItemsRouter,
+  transfersRouter,
+  linesRouter,
+  sessionsRouter,
 };
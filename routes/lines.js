@@ -0,0 +1,323 @@
+const { Line, Station, StationLine } = require('../models');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority } = require('../models/enums');
+const { asyncHandler } = require('../functions');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+async function findLine(id) {
+  const lineId = Number(id);
+  if (!Number.isInteger(lineId) || lineId <= 0) {
+    throw new HttpException(400, '유효한 line id 를 숫자로 입력해주세요.');
+  }
+  const line = await Line.findByPk(lineId);
+  if (!line) {
+    throw new HttpException(404, `노선 ${lineId}는 없습니다.`);
+  }
+  return line;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Line:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         name:
+ *           type: string
+ *           example: "2호선"
+ *         color:
+ *           type: string
+ *           example: "#00A84D"
+ *         operator:
+ *           type: string
+ *           nullable: true
+ *           example: "서울교통공사"
+ *     LineStation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         name:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *           format: float
+ *         longitude:
+ *           type: number
+ *           format: float
+ *         stationCode:
+ *           type: string
+ *           nullable: true
+ *           example: "222"
+ *         sequence:
+ *           type: number
+ *           description: 노선 안에서의 역 순서
+ */
+
+/**
+ * @swagger
+ * /lines:
+ *   post:
+ *     summary: 노선 추가
+ *     description: 관리자 권한필요
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 description: "#RRGGBB 형식"
+ *               operator:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 추가 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Line'
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { name, color, operator } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new HttpException(400, 'name 은 문자로 입력해주세요.');
+    }
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+      throw new HttpException(400, 'color 는 #RRGGBB 형식으로 입력해주세요.');
+    }
+    if (operator !== undefined && typeof operator !== 'string') {
+      throw new HttpException(400, 'operator 는 문자로 입력해주세요.');
+    }
+
+    const lineDuplication = await Line.findOne({ where: { name } });
+    if (lineDuplication) {
+      throw new HttpException(409, `${name} 은 이미 저장되어 있습니다.`);
+    }
+
+    const newLine = await Line.create({ name, color, operator: operator || null });
+    const line = await Line.findOne({
+      where: { id: newLine.id },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    res.status(201).send(line);
+  }),
+);
+
+/**
+ * @swagger
+ * /lines:
+ *   get:
+ *     summary: 모든 노선 조회
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Line'
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const lines = await Line.findAll({
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+      order: [['id', 'ASC']],
+    });
+    res.status(200).send(lines);
+  }),
+);
+
+/**
+ * @swagger
+ * /lines/{id}/stations:
+ *   get:
+ *     summary: 노선의 역을 순서대로 조회
+ *     description: 맵에서 노선을 선으로 그릴 때 사용
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Line'
+ *                 - type: object
+ *                   properties:
+ *                     stations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LineStation'
+ */
+router.get(
+  '/:id/stations',
+  asyncHandler(async (req, res) => {
+    const line = await findLine(req.params.id);
+    const stationLines = await StationLine.findAll({
+      where: { lineId: line.id },
+      order: [['sequence', 'ASC']],
+    });
+
+    let stations = [];
+    for (const stationLine of stationLines) {
+      const station = await Station.findOne({
+        where: { id: stationLine.stationId },
+        attributes: ['id', 'name', 'latitude', 'longitude'],
+      });
+      if (!station) {
+        continue;
+      }
+      stations.push({
+        ...station.dataValues,
+        stationCode: stationLine.stationCode,
+        sequence: stationLine.sequence,
+      });
+    }
+    const { id, name, color, operator } = line;
+    res.status(200).send({ id, name, color, operator, stations });
+  }),
+);
+
+/**
+ * @swagger
+ * /lines/{id}/stations:
+ *   post:
+ *     summary: 노선에 역 연결
+ *     description: 관리자 권한필요, 한 역은 같은 노선에 한 번만 연결할 수 있고 노선 안의 순서는 겹칠 수 없음
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               stationId:
+ *                 type: number
+ *               stationCode:
+ *                 type: string
+ *               sequence:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: 연결 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LineStation'
+ */
+router.post(
+  '/:id/stations',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const line = await findLine(req.params.id);
+    const { stationId, stationCode, sequence } = req.body;
+
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+    if (!Number.isInteger(sequence) || sequence <= 0) {
+      throw new HttpException(400, 'sequence 는 1 이상의 정수로 입력해주세요.');
+    }
+    if (stationCode !== undefined && typeof stationCode !== 'string') {
+      throw new HttpException(400, 'stationCode 는 문자로 입력해주세요.');
+    }
+
+    const station = await Station.findOne({
+      where: { id: stationId },
+      attributes: ['id', 'name', 'latitude', 'longitude'],
+    });
+    if (!station) {
+      throw new HttpException(404, `역 ${stationId}는 없습니다.`);
+    }
+
+    const stationLineDuplication = await StationLine.findOne({ where: { lineId: line.id, stationId } });
+    if (stationLineDuplication) {
+      throw new HttpException(409, `${station.name} 은 이미 ${line.name} 에 연결되어 있습니다.`);
+    }
+    const sequenceDuplication = await StationLine.findOne({ where: { lineId: line.id, sequence } });
+    if (sequenceDuplication) {
+      throw new HttpException(409, `${line.name} 의 ${sequence}번째 역은 이미 있습니다.`);
+    }
+
+    const newStationLine = await StationLine.create({
+      lineId: line.id,
+      stationId,
+      stationCode: stationCode || null,
+      sequence,
+    });
+    res.status(201).send({
+      ...station.dataValues,
+      stationCode: newStationLine.stationCode,
+      sequence: newStationLine.sequence,
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /lines/{id}/stations/{stationId}:
+ *   delete:
+ *     summary: 노선에서 역 연결 해제
+ *     description: 관리자 권한필요
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: path
+ *         name: stationId
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: 연결 해제 성공
+ */
+router.delete(
+  '/:id/stations/:stationId',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const line = await findLine(req.params.id);
+    const stationId = Number(req.params.stationId);
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+
+    const deletedCount = await StationLine.destroy({ where: { lineId: line.id, stationId } });
+    if (deletedCount === 0) {
+      throw new HttpException(404, `역 ${stationId}는 ${line.name} 에 연결되어 있지 않습니다.`);
+    }
+    res.status(204).send();
+  }),
+);
+
+module.exports = router;
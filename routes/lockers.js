@@ -1,10 +1,36 @@
-const { Locker, Station, User, Comment } = require('../models');
+const { Op } = require('sequelize');
+const { Locker, Station, User, Comment, Rental, Payment, Waitlist, MaintenanceTicket } = require('../models');
 const sequelize = require('../config/database');
+const bcrypt = require('bcrypt');
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
-const { LockerStatus, UserAuthority } = require('../models/enums');
-const { pagination, asyncHandler } = require('../functions');
+const { authenticateToken, authorityConfirmation, kioskAuthentication, HttpException } = require('../middleware');
+const {
+  LockerStatus,
+  UserAuthority,
+  RentalStatus,
+  PaymentStatus,
+  LockerSize,
+  LockerCommandReason,
+  WaitlistStatus,
+  MaintenanceTicketStatus,
+} = require('../models/enums');
+const {
+  pagination,
+  asyncHandler,
+  lockerSearchFilter,
+  generateUnlockPin,
+  standardDueDateTime,
+  rentalEligibilityValidation,
+  stationOpenValidation,
+  findOverlappingReservation,
+} = require('../functions');
+const { calculateRentalCharge } = require('../services/pricing');
+const { getPaymentProvider } = require('../services/payment');
+const { maxFailedAttempts, lockoutMinutes } = require('../config/unlockPin');
+const lockerController = require('../services/lockerController');
+const { offerLocker, requeueHold } = require('../services/waitlist');
+const { publishLockerStatus } = require('../services/lockerStatusStream');
 
 /**
  * @swagger
@@ -12,7 +38,7 @@ const { pagination, asyncHandler } = require('../functions');
  *   post:
  *     summary: 역에 라커 추가하기
  *     requestBody:
- *       description: 역 이름 과 라커 갯수
+ *       description: 역 이름 과 라커 갯수, 크기를 입력하지 않으면 medium 으로 생성. 가로, 세로, 깊이(cm)는 선택
  *       required: true
  *       content:
  *         application/json:
@@ -22,6 +48,16 @@ const { pagination, asyncHandler } = require('../functions');
  *                 type: number
  *               numberLockers:
  *                 type: number
+ *               size:
+ *                 type: string
+ *                 enum: [small, medium, large, oversized]
+ *                 default: "medium"
+ *               width:
+ *                 type: number
+ *               height:
+ *                 type: number
+ *               depth:
+ *                 type: number
  *     responses:
  *       201:
  *         description: 라커 추가 성공
@@ -35,6 +71,18 @@ const { pagination, asyncHandler } = require('../functions');
  *                   default: "unoccupied"
  *                 id:
  *                   type: number
+ *                 size:
+ *                   type: string
+ *                   default: "medium"
+ *                 width:
+ *                   type: number
+ *                   nullable: true
+ *                 height:
+ *                   type: number
+ *                   nullable: true
+ *                 depth:
+ *                   type: number
+ *                   nullable: true
  *                 startDateTime:
  *                   type: string
  *                   format: date-time
@@ -62,7 +110,8 @@ router.post(
   authenticateToken,
   authorityConfirmation([UserAuthority.ADMIN]),
   asyncHandler(async (req, res) => {
-    const { stationId, numberLockers } = req.body;
+    const { stationId, numberLockers, width, height, depth } = req.body;
+    const size = req.body.size || LockerSize.MEDIUM;
 
     if (!stationId || !numberLockers) {
       throw new HttpException(400, 'stationId 과 numberLockers 값 둘다 입력해주세요');
@@ -76,6 +125,16 @@ router.post(
       throw new HttpException(400, '유효한 numberLockers를 숫자로 입력해주세요.');
     }
 
+    if (!Object.values(LockerSize).includes(size)) {
+      throw new HttpException(400, `size 값은 다음과 같은 값만 입력해주세요. ${Object.values(LockerSize).join(', ')}`);
+    }
+
+    for (const [key, value] of Object.entries({ width, height, depth })) {
+      if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+        throw new HttpException(400, `유효한 ${key} 를 숫자로 입력해주세요.`);
+      }
+    }
+
     const station = await Station.findOne({
       where: { id: stationId },
     });
@@ -88,12 +147,20 @@ router.post(
       for (let i = 0; i < numberLockers; i++) {
         const newLocker = await Locker.create({
           stationId,
+          size,
+          width,
+          height,
+          depth,
         });
         newLockers.push(newLocker);
       }
 
       res.status(201).send(newLockers);
     });
+
+    for (const newLocker of newLockers) {
+      await publishLockerStatus(newLocker.id);
+    }
   }),
 );
 
@@ -113,10 +180,21 @@ router.post(
  *         schema:
  *           type: number
  *         description: 원하는 페이지 번호
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [small, medium, large, oversized]
+ *         description: 사물함 크기로 검색
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: true 면 비어 있는 사물함만, false 면 사용 중이거나 관리 중인 사물함만 검색
  *
  *     responses:
  *       200:
- *         description: 모든 사물함 찾기 성공
+ *         description: 모든 사물함 찾기 성공, 검색 조건에 맞는 사물함이 없으면 items 가 빈 배열이고 totalPages 는 0
  *         content:
  *           application/json:
  *             schema:
@@ -136,6 +214,9 @@ router.post(
  *                     status:
  *                       type: string
  *                       default: "unoccupied"
+ *                     size:
+ *                       type: string
+ *                       default: "medium"
  *                     stationId:
  *                       type: number
  *                     userId:
@@ -169,7 +250,12 @@ router.get(
     const page = Number(req.query.page);
     const limit = Number(req.query.limit) || 5;
 
-    const result = await pagination(page, limit, Locker);
+    const filter = lockerSearchFilter(req.query.size, req.query.available);
+    if (!filter.validation) {
+      throw new HttpException(filter.statusCode, filter.message);
+    }
+
+    const result = await pagination(page, limit, Locker, null, null, null, filter.where);
 
     res.status(200).send(result);
   }),
@@ -275,6 +361,18 @@ router.get(
  *                   type: number
  *                 userId:
  *                   type: number
+ *                 expectedEndDateTime:
+ *                   type: string
+ *                   format: date-time
+ *                   description: 반납 예정 시간, 기본 대여 시간(역의 최대 대여 시간보다 길면 최대 대여 시간) 전에 시작하는 예약이 있으면 그 예약의 시작 시간, 최대 대여 시간까지 연장 가능
+ *                 pin:
+ *                   type: string
+ *                   example: "042917"
+ *                   description: 반납할 때까지 사물함을 열 때마다 쓰는 대여 PIN, 이 응답에서만 확인 가능
+ *       409:
+ *         description: 같은 사물함에 동시에 들어온 다른 대여 요청이 먼저 처리됨, 또는 지금 시작하는 예약이 있음
+ *       422:
+ *         description: 대여할 수 없는 상태, 역 운영 시간이 아니면 code 가 STATION_CLOSED
  */
 router.post(
   '/rental',
@@ -306,21 +404,96 @@ router.post(
     if (locker.status === LockerStatus.UNDER_MANAGEMENT) {
       throw new HttpException(422, '선택하신 사물함은 관리중 입니다.');
     }
+    // 대기 순번으로 잡아둔 사물함은 잡아둔 유저만 대여할 수 있다
+    const heldWaitlist = await Waitlist.findOne({
+      where: {
+        userId,
+        lockerId,
+        status: WaitlistStatus.HOLDING,
+        holdExpiresAt: { [Op.gt]: new Date() },
+      },
+    });
+    if (locker.status === LockerStatus.RESERVED) {
+      throw new HttpException(422, '선택하신 사물함은 예약되어 있습니다.');
+    }
+    if (locker.status === LockerStatus.HELD && !heldWaitlist) {
+      throw new HttpException(422, '선택하신 사물함은 대기 순번 회원을 위해 잡아둔 사물함입니다.');
+    }
+    const stationOpen = await stationOpenValidation(locker.stationId);
+    if (!stationOpen.validation) {
+      throw new HttpException(stationOpen.statusCode, stationOpen.message, stationOpen.code);
+    }
 
     const startDateTime = Date.now();
-    await sequelize.transaction(async () => {
-      await Locker.update(
+    const { pin, pinHash } = await generateUnlockPin();
+    const expectedEndDateTime = await sequelize.transaction(async () => {
+      // 같은 유저의 대여 요청을 순서대로 처리해서 동시에 요청해도 대여 제한을 넘지 않게 한다
+      await User.findOne({ where: { id: userId }, lock: true });
+      const eligibility = await rentalEligibilityValidation(userId);
+      if (!eligibility.validation) {
+        throw new HttpException(eligibility.statusCode, eligibility.message, eligibility.code);
+      }
+
+      // 예약 생성과 같은 사물함 잠금을 사용해서 대여 중에 겹치는 예약이 새로 생기지 않게 하고,
+      // 반납 예정 시간 전에 시작하는 예약이 있으면 그 예약 시작 시간까지만 대여한다
+      await Locker.findOne({ where: { id: lockerId }, lock: true });
+      let dueDateTime = await standardDueDateTime(locker.stationId, startDateTime);
+      const upcomingReservation = await findOverlappingReservation(lockerId, new Date(startDateTime), dueDateTime);
+      if (upcomingReservation && upcomingReservation.startDateTime.getTime() <= startDateTime) {
+        throw new HttpException(409, '선택하신 사물함은 예약되어 있습니다.');
+      }
+      if (upcomingReservation) {
+        dueDateTime = upcomingReservation.startDateTime;
+      }
+      const expectedCharge = await calculateRentalCharge(
+        { lockerId, stationId: locker.stationId, startDateTime, expectedEndDateTime: dueDateTime },
+        dueDateTime,
+      );
+
+      // 비어 있는 사물함일 때만 대여로 바꿔서 동시에 들어온 대여 요청 중 하나만 성공하게 한다
+      const [updatedCount] = await Locker.update(
         {
           userId,
           startDateTime,
           status: LockerStatus.OCCUPIED,
+          pinFailedAttempts: 0,
+          pinLockedUntil: null,
         },
-        { where: { id: lockerId } },
+        { where: { id: lockerId, status: heldWaitlist ? LockerStatus.HELD : LockerStatus.UNOCCUPIED } },
       );
+      if (updatedCount === 0) {
+        throw new HttpException(409, '다른 회원이 먼저 사물함을 대여했습니다.');
+      }
+
+      if (heldWaitlist) {
+        const [fulfilledCount] = await Waitlist.update(
+          { status: WaitlistStatus.FULFILLED },
+          { where: { id: heldWaitlist.id, status: WaitlistStatus.HOLDING } },
+        );
+        if (fulfilledCount === 0) {
+          throw new HttpException(409, '사물함을 잡아두는 시간이 지났습니다.');
+        }
+      }
+
+      await Rental.create({
+        userId,
+        lockerId,
+        stationId: locker.stationId,
+        startDateTime,
+        expectedEndDateTime: dueDateTime,
+        expectedAmount: expectedCharge.total,
+        status: RentalStatus.ACTIVE,
+        pinHash,
+      });
+      return dueDateTime;
     });
 
     const useLocker = await Locker.findByPk(lockerId);
-    res.status(200).send(useLocker);
+    await publishLockerStatus(lockerId);
+    await lockerController.sendUnlockCommand(useLocker, LockerCommandReason.RENTAL_STARTED);
+
+    // PIN 은 저장하지 않기 때문에 대여한 유저에게 이 응답에서 한 번만 보여준다
+    res.status(200).send({ ...useLocker.dataValues, expectedEndDateTime, pin });
   }),
 );
 
@@ -330,7 +503,7 @@ router.post(
  *   patch:
  *     summary: 라커 사용 종료
  *     requestBody:
- *       description: 유저가 사용중인 라커 id를 이용하여 사용종료하고 사용한 시간을 전송
+ *       description: 유저가 사용중인 라커 id를 이용하여 요청을 받은 서버 시간까지 사용한 시간으로 요금을 계산하고, 결제가 완료되어야 사용종료. 반납이 늦어져 관리중으로 바뀐 사물함도 직원이 비우기 전이면 반납 가능
  *       required: true
  *       content:
  *         application/json:
@@ -338,6 +511,9 @@ router.post(
  *             properties:
  *               id:
  *                 type: number
+ *               payment:
+ *                 type: object
+ *                 description: 결제 provider 에 그대로 전달되는 결제 정보
  *     responses:
  *       200:
  *         description: 사용종료 요청 처리 성공
@@ -364,6 +540,84 @@ router.post(
  *                 totalUsedTime:
  *                   type: string
  *                   example: "총 사용한 시간은 30분 입니다."
+ *                 rental:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: number
+ *                     lockerId:
+ *                       type: number
+ *                     stationId:
+ *                       type: number
+ *                     userId:
+ *                       type: number
+ *                     startDateTime:
+ *                       type: string
+ *                       format: date-time
+ *                     endDateTime:
+ *                       type: string
+ *                       format: date-time
+ *                     amount:
+ *                       type: number
+ *                       nullable: true
+ *                     status:
+ *                       type: string
+ *                       example: "returned"
+ *                 charge:
+ *                   $ref: '#/components/schemas/Charge'
+ *       402:
+ *         description: 결제 실패, 대여는 종료되지 않음
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 charge:
+ *                   $ref: '#/components/schemas/Charge'
+ *       409:
+ *         description: 같은 사물함의 반환 요청이 이미 처리됨
+ *       422:
+ *         description: 역 운영 시간이 아니라서 반납할 수 없음
+ *
+ * components:
+ *   schemas:
+ *     Charge:
+ *       type: object
+ *       properties:
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *         endDateTime:
+ *           type: string
+ *           format: date-time
+ *         hours:
+ *           type: number
+ *         tariff:
+ *           type: object
+ *           properties:
+ *             baseHours:
+ *               type: number
+ *             baseFee:
+ *               type: number
+ *             hourlyRate:
+ *               type: number
+ *             dailyCap:
+ *               type: number
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 enum: [base, hourly, dailyCap, lateFee]
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         total:
+ *           type: number
  *
  */
 router.patch(
@@ -371,21 +625,16 @@ router.patch(
   authenticateToken,
   authorityConfirmation([UserAuthority.USER]),
   asyncHandler(async (req, res) => {
-    const { id, endDateTime, payment } = req.body;
+    const { id, payment } = req.body;
     const user = req.user;
-    if (!id || !endDateTime || !payment) {
-      throw new HttpException(400, 'id, endDateTime, payment 값을 모두 입력해주세요.');
+    if (!id || !payment) {
+      throw new HttpException(400, 'id, payment 값을 모두 입력해주세요.');
     }
 
     if (!Number.isInteger(id) || id <= 0) {
       throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
     }
 
-    const date = new Date(endDateTime);
-    if (!(date instanceof Date) || isNaN(date.getTime())) {
-      throw new HttpException(400, '유효한 날짜와 시간을 입력해주세요.');
-    }
-
     const locker = await Locker.findByPk(id);
     if (!locker) {
       throw new HttpException(404, `락커 ${id} 는 없습니다.`);
@@ -398,23 +647,215 @@ router.patch(
       throw new HttpException(422, '비어 있는 락커 입니다.');
     }
 
-    await sequelize.transaction(async () => {
+    const rental = await Rental.findOne({
+      where: { lockerId: id, userId: user.id, status: RentalStatus.ACTIVE },
+    });
+    if (!rental) {
+      throw new HttpException(404, '해당 락커의 대여 기록이 없습니다.');
+    }
+    const stationOpen = await stationOpenValidation(locker.stationId);
+    if (!stationOpen.validation) {
+      throw new HttpException(stationOpen.statusCode, stationOpen.message, stationOpen.code);
+    }
+
+    const paymentProvider = getPaymentProvider();
+    const result = await sequelize.transaction(async () => {
+      // 사물함과 대여 기록을 잠가서 같은 대여가 두 번 결제되거나 반환되지 않게 한다
+      const lockedLocker = await Locker.findOne({ where: { id }, lock: true });
+      const lockedRental = await Rental.findOne({ where: { id: rental.id }, lock: true });
+      // 반납이 늦어져 관리중으로 바뀐 사물함도 직원이 비우기 전이면 반납할 수 있다
+      if (
+        lockedLocker.userId !== user.id ||
+        ![LockerStatus.OCCUPIED, LockerStatus.UNDER_MANAGEMENT].includes(lockedLocker.status) ||
+        lockedRental.status !== RentalStatus.ACTIVE
+      ) {
+        throw new HttpException(409, '이미 반환 처리된 사물함입니다.');
+      }
+
+      // 반납 시간은 클라이언트가 보낸 값이 아니라 서버 시간으로 정해서 요금과 연체료를 줄일 수 없게 한다
+      const endDateTime = new Date();
+      const charge = await calculateRentalCharge(lockedRental, endDateTime);
+      let paymentResult = { success: true, transactionId: null };
+      if (charge.total > 0) {
+        paymentResult = await paymentProvider.charge({
+          amount: charge.total,
+          userId: user.id,
+          rentalId: rental.id,
+          paymentDetails: payment,
+        });
+      }
+
+      if (!paymentResult.success) {
+        await Payment.create({
+          rentalId: rental.id,
+          userId: user.id,
+          amount: charge.total,
+          provider: paymentProvider.name,
+          status: PaymentStatus.FAILED,
+          chargedUntil: endDateTime,
+        });
+        return { paid: false, charge, message: paymentResult.message };
+      }
+
+      await Payment.create({
+        rentalId: rental.id,
+        userId: user.id,
+        amount: charge.total,
+        provider: paymentProvider.name,
+        transactionId: paymentResult.transactionId,
+        status: PaymentStatus.PAID,
+        chargedUntil: endDateTime,
+      });
+
+      // 정비 중인 사물함은 반납해도 정비가 끝날 때까지 관리중으로 둔다
+      const openTicket = await MaintenanceTicket.findOne({
+        where: { lockerId: id, status: MaintenanceTicketStatus.OPEN },
+      });
       await Locker.update(
         {
           endDateTime,
-          status: LockerStatus.UNOCCUPIED,
+          status: openTicket ? LockerStatus.UNDER_MANAGEMENT : LockerStatus.UNOCCUPIED,
           userId: null,
         },
         { where: { id, userId: user.id } },
       );
 
-      const updatedLocker = await Locker.findOne({
-        where: { id },
-        attributes: { exclude: ['createdAt', 'updatedAt'] },
+      await Rental.update(
+        {
+          endDateTime,
+          amount: charge.total,
+          status: RentalStatus.RETURNED,
+        },
+        { where: { id: rental.id } },
+      );
+      return { paid: true, charge };
+    });
+
+    if (!result.paid) {
+      res.status(402).send({ message: result.message || '결제에 실패했습니다.', charge: result.charge });
+      return;
+    }
+
+    const updatedLocker = await Locker.findOne({
+      where: { id },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    const returnedRental = await Rental.findByPk(rental.id);
+    await lockerController.sendUnlockCommand(updatedLocker, LockerCommandReason.RENTAL_ENDED);
+    await publishLockerStatus(id);
+    await offerLocker(id);
+
+    res.status(200).send({ ...updatedLocker.dataValues, rental: returnedRental, charge: result.charge });
+  }),
+);
+
+/**
+ * @swagger
+ * /lockers/{id}/verify-pin:
+ *   post:
+ *     summary: 키오스크, 사물함 컨트롤러에서 PIN 확인
+ *     description: Header 의 x-kiosk-key 로 인증, PIN 은 대여마다 하나씩 발급되어 반납이나 양도 전까지 여러 번 쓸 수 있고 정해진 횟수 이상 틀리면 일정 시간 동안 사물함이 잠김
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: header
+ *         name: x-kiosk-key
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PIN 일치
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 lockerId:
+ *                   type: number
+ *                 verified:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: PIN 불일치, 남은 시도 횟수 제공
+ *       423:
+ *         description: PIN 을 여러 번 틀려서 사물함이 잠김
+ */
+router.post(
+  '/:id/verify-pin',
+  kioskAuthentication,
+  asyncHandler(async (req, res) => {
+    const lockerId = Number(req.params.id);
+    const { pin } = req.body;
+
+    if (!Number.isInteger(lockerId) || lockerId <= 0) {
+      throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
+    }
+    if (!pin || typeof pin !== 'string') {
+      throw new HttpException(400, 'pin 을 문자열로 입력해주세요.');
+    }
+
+    const locker = await Locker.findByPk(lockerId);
+    if (!locker) {
+      throw new HttpException(404, `락커 ${lockerId}는 없습니다. `);
+    }
+
+    // 사물함을 잠가서 동시에 들어온 PIN 확인을 하나씩 처리해야 틀린 횟수가 빠짐없이 쌓인다.
+    // 틀린 횟수는 커밋된 뒤에 거절해야 남기 때문에 트랜잭션 안에서는 결과만 돌려준다
+    const result = await sequelize.transaction(async () => {
+      const lockedLocker = await Locker.findOne({ where: { id: lockerId }, lock: true });
+      if (lockedLocker.pinLockedUntil && lockedLocker.pinLockedUntil.getTime() > Date.now()) {
+        throw new HttpException(
+          423,
+          `PIN 을 여러 번 틀려서 ${lockedLocker.pinLockedUntil.toLocaleString()} 까지 잠겨 있습니다.`,
+        );
+      }
+
+      const rental = await Rental.scope('withPin').findOne({
+        where: { lockerId, status: RentalStatus.ACTIVE },
       });
+      if (!rental || !rental.pinHash) {
+        throw new HttpException(422, '대여 중인 사물함이 아닙니다.');
+      }
+
+      const pinValidation = await bcrypt.compare(pin, rental.pinHash);
+      if (pinValidation) {
+        await Locker.update({ pinFailedAttempts: 0, pinLockedUntil: null }, { where: { id: lockerId } });
+        return { verified: true };
+      }
 
-      res.status(200).send(updatedLocker);
+      await Locker.increment('pinFailedAttempts', { where: { id: lockerId } });
+      const { pinFailedAttempts } = await Locker.findOne({
+        where: { id: lockerId },
+        attributes: ['pinFailedAttempts'],
+      });
+      if (pinFailedAttempts >= maxFailedAttempts) {
+        const pinLockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+        await Locker.update({ pinFailedAttempts: 0, pinLockedUntil }, { where: { id: lockerId } });
+        return { verified: false, locked: true };
+      }
+      return { verified: false, remainingAttempts: maxFailedAttempts - pinFailedAttempts };
     });
+
+    if (result.locked) {
+      throw new HttpException(423, `PIN 을 ${maxFailedAttempts}번 틀려서 ${lockoutMinutes}분 동안 잠깁니다.`);
+    }
+    if (!result.verified) {
+      throw new HttpException(401, `PIN 이 틀렸습니다. 남은 시도 횟수: ${result.remainingAttempts}`);
+    }
+
+    await lockerController.sendUnlockCommand(locker, LockerCommandReason.PIN_VERIFIED);
+    res.status(200).send({ lockerId, verified: true });
   }),
 );
 
@@ -424,14 +865,17 @@ router.patch(
  *   patch:
  *     summary: 라커 상태 관리
  *     requestBody:
- *       description: 관리자가 로그인 하여 라커의 상태를 변경 및 관리
+ *       description: 관리자가 로그인 하여 라커의 상태를 변경 및 관리, 대기자를 위해 잡아둔 사물함을 바꾸면 대기자는 순번을 유지한 채 다시 기다림
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             properties:
- *               id:
+ *               lockerId:
  *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [unoccupied, occupied, under management]
  *     responses:
  *       200:
  *         description: 수정 요청 처리 성공
@@ -473,8 +917,12 @@ router.patch(
       throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
     }
 
-    if (!Object.values(LockerStatus).includes(status)) {
-      throw new HttpException(400, 'status 값은 다음과 같은 값만 입력해주세요. unoccupied, occupied, under management');
+    // reserved 와 held 는 예약과 대기열이 함께 관리하는 상태라서 관리자가 직접 바꿀 수 없다
+    const manageableStatuses = Object.values(LockerStatus).filter(
+      (lockerStatus) => ![LockerStatus.RESERVED, LockerStatus.HELD].includes(lockerStatus),
+    );
+    if (!manageableStatuses.includes(status)) {
+      throw new HttpException(400, `status 값은 다음과 같은 값만 입력해주세요. ${manageableStatuses.join(', ')}`);
     }
     const locker = await Locker.findByPk(lockerId);
     if (!locker) {
@@ -482,20 +930,30 @@ router.patch(
     }
 
     await sequelize.transaction(async () => {
+      // 대기자를 위해 잡아둔 사물함이었다면 대기자는 순번을 유지한 채 다시 기다린다
+      const lockedLocker = await Locker.findOne({ where: { id: lockerId }, lock: true });
+      if (lockedLocker.status === LockerStatus.HELD) {
+        await requeueHold(lockerId);
+      }
       await Locker.update(
         {
           status,
         },
         { where: { id: lockerId } },
       );
+    });
 
-      const updatedLocker = await Locker.findOne({
-        where: { id: lockerId },
-        attributes: { exclude: ['createdAt', 'updatedAt'] },
-      });
+    await publishLockerStatus(lockerId);
+    // 사물함이 다시 사용 가능해지면 대기자에게 먼저 넘긴다
+    if (status === LockerStatus.UNOCCUPIED) {
+      await offerLocker(lockerId);
+    }
 
-      res.status(200).send(updatedLocker);
+    const updatedLocker = await Locker.findOne({
+      where: { id: lockerId },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
     });
+    res.status(200).send(updatedLocker);
   }),
 );
 
@@ -536,6 +994,7 @@ router.delete(
       throw new HttpException(404, '주어진 id 값을 가지는 게시물이 없습니다.');
     }
     await Locker.destroy({ where: { id: lockerId } });
+    await publishLockerStatus(lockerId);
     res.status(204).send();
   }),
 );
@@ -612,6 +1071,7 @@ router.post(
       throw new HttpException(422, '삭제된 locker 가 아닙니다.');
     }
     await Locker.restore({ where: { id: lockerId } });
+    await publishLockerStatus(lockerId);
 
     const restoredLocker = await Locker.findOne({
       where: { id: lockerId },
@@ -0,0 +1,411 @@
+const { Locker, Rental, LostItem, MaintenanceTicket } = require('../models');
+const sequelize = require('../config/database');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority, LockerStatus, RentalStatus, LostItemStatus } = require('../models/enums');
+const { asyncHandler } = require('../functions');
+const { calculateRentalCharge } = require('../services/pricing');
+const { notify } = require('../services/notification');
+const { publishLockerStatus } = require('../services/lockerStatusStream');
+const { pickupDays } = require('../config/lostItem');
+
+async function findLostItem(id) {
+  const lostItemId = Number(id);
+  if (!Number.isInteger(lostItemId) || lostItemId <= 0) {
+    throw new HttpException(400, '유효한 lost item id 를 숫자로 입력해주세요.');
+  }
+  const lostItem = await LostItem.findByPk(lostItemId);
+  if (!lostItem) {
+    throw new HttpException(404, `보관 물품 ${lostItemId}는 없습니다.`);
+  }
+  return lostItem;
+}
+
+async function sendLostItem(res, statusCode, lostItemId) {
+  const lostItem = await LostItem.findOne({
+    where: { id: lostItemId },
+    attributes: { exclude: ['updatedAt'] },
+  });
+  res.status(statusCode).send(lostItem);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LostItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         lockerId:
+ *           type: number
+ *         stationId:
+ *           type: number
+ *         userId:
+ *           type: number
+ *           nullable: true
+ *           description: 사물함을 사용하던 유저
+ *         rentalId:
+ *           type: number
+ *           nullable: true
+ *         maintenanceTicketId:
+ *           type: number
+ *           nullable: true
+ *         items:
+ *           type: string
+ *         storageLocation:
+ *           type: string
+ *         pickupDeadline:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [held, claimed, collected, disposed]
+ *         claimedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         collectedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         disposedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /lost-items:
+ *   post:
+ *     summary: 비운 사물함에서 꺼낸 물품 등록
+ *     description: 관리자 권한필요, 연체된 대여가 있으면 대여를 종료하고 요금을 미납으로 남긴 뒤 유저에게 보관 장소와 찾아갈 기한을 알림
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               lockerId:
+ *                 type: number
+ *               items:
+ *                 type: string
+ *                 description: 꺼낸 물품 목록
+ *               storageLocation:
+ *                 type: string
+ *               pickupDeadline:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 입력하지 않으면 기본 보관 기간 적용
+ *               maintenanceTicketId:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: 등록 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LostItem'
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { lockerId, items, storageLocation, pickupDeadline, maintenanceTicketId } = req.body;
+    if (!lockerId || !items || !storageLocation) {
+      throw new HttpException(400, 'lockerId, items, storageLocation 값을 모두 입력해주세요.');
+    }
+    if (!Number.isInteger(lockerId) || lockerId <= 0) {
+      throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
+    }
+
+    const now = new Date();
+    const deadline = pickupDeadline
+      ? new Date(pickupDeadline)
+      : new Date(now.getTime() + pickupDays * 24 * 60 * 60 * 1000);
+    if (isNaN(deadline.getTime()) || deadline.getTime() <= now.getTime()) {
+      throw new HttpException(400, 'pickupDeadline 은 현재 시간 이후의 날짜로 입력해주세요.');
+    }
+
+    const locker = await Locker.findByPk(lockerId);
+    if (!locker) {
+      throw new HttpException(404, `락커 ${lockerId}는 없습니다. `);
+    }
+    if (maintenanceTicketId) {
+      const ticket = await MaintenanceTicket.findByPk(maintenanceTicketId);
+      if (!ticket || ticket.lockerId !== lockerId) {
+        throw new HttpException(404, `사물함 ${lockerId}의 정비 티켓 ${maintenanceTicketId}는 없습니다.`);
+      }
+    }
+
+    const newLostItem = await sequelize.transaction(async () => {
+      await Locker.findOne({ where: { id: lockerId }, lock: true });
+      const activeRental = await Rental.findOne({
+        where: { lockerId, status: RentalStatus.ACTIVE },
+        lock: true,
+      });
+      if (activeRental && !activeRental.isOverdue) {
+        throw new HttpException(422, '연체되지 않은 대여 중인 사물함은 비울 수 없습니다.');
+      }
+
+      // 반납되지 않은 대여는 비운 시점까지의 요금으로 종료하고, 결제 기록이 없으므로 미납으로 남는다
+      if (activeRental) {
+        const charge = await calculateRentalCharge(activeRental, now);
+        const lateFeeItem = charge.items.find((item) => item.item === 'lateFee');
+        await Rental.update(
+          {
+            endDateTime: now,
+            amount: charge.total,
+            lateFee: lateFeeItem ? lateFeeItem.amount : 0,
+            status: RentalStatus.CLEARED,
+          },
+          { where: { id: activeRental.id } },
+        );
+        await Locker.update(
+          { endDateTime: now, userId: null, status: LockerStatus.UNDER_MANAGEMENT },
+          { where: { id: lockerId } },
+        );
+      }
+
+      return LostItem.create({
+        lockerId,
+        stationId: locker.stationId,
+        userId: activeRental ? activeRental.userId : null,
+        rentalId: activeRental ? activeRental.id : null,
+        maintenanceTicketId: maintenanceTicketId || null,
+        registeredByAdminId: req.user.id,
+        items,
+        storageLocation,
+        pickupDeadline: deadline,
+        status: LostItemStatus.HELD,
+      });
+    });
+    await publishLockerStatus(lockerId);
+
+    if (newLostItem.userId) {
+      await notify(
+        newLostItem.userId,
+        `사물함 ${lockerId}번에 남아 있던 물품을 ${storageLocation} 에 보관 중입니다. ${deadline.toLocaleString()} 까지 찾아가주세요.`,
+      );
+    }
+    await sendLostItem(res, 201, newLostItem.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /lost-items:
+ *   get:
+ *     summary: 보관 물품 목록
+ *     description: 관리자 권한필요, 찾아갈 기한이 빠른 순서로 조회
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [held, claimed, collected, disposed]
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LostItem'
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { status, stationId } = req.query;
+    const where = {};
+    if (status) {
+      if (!Object.values(LostItemStatus).includes(status)) {
+        throw new HttpException(
+          400,
+          `status 값은 다음과 같은 값만 입력해주세요. ${Object.values(LostItemStatus).join(', ')}`,
+        );
+      }
+      where.status = status;
+    }
+    if (stationId) {
+      where.stationId = Number(stationId);
+    }
+
+    const lostItems = await LostItem.findAll({
+      where,
+      attributes: { exclude: ['updatedAt'] },
+      order: [['pickupDeadline', 'ASC']],
+    });
+    res.status(200).send(lostItems);
+  }),
+);
+
+/**
+ * @swagger
+ * /lost-items/mine:
+ *   get:
+ *     summary: 로그인한 유저의 보관 중인 물품 조회
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LostItem'
+ */
+router.get(
+  '/mine',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const lostItems = await LostItem.findAll({
+      where: { userId: req.user.id, status: [LostItemStatus.HELD, LostItemStatus.CLAIMED] },
+      attributes: { exclude: ['updatedAt'] },
+      order: [['pickupDeadline', 'ASC']],
+    });
+    res.status(200).send(lostItems);
+  }),
+);
+
+/**
+ * @swagger
+ * /lost-items/{id}/claim:
+ *   post:
+ *     summary: 보관 중인 물품 찾아가기 신청
+ *     description: 찾아갈 기한 전에만 신청 가능, 직원이 전달하면 collected 로 변경
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 신청 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LostItem'
+ */
+router.post(
+  '/:id/claim',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const lostItem = await findLostItem(req.params.id);
+    if (lostItem.userId !== req.user.id) {
+      throw new HttpException(403, '해당 유저의 물품이 아닙니다.');
+    }
+    if (lostItem.status !== LostItemStatus.HELD) {
+      throw new HttpException(422, `찾아가기 신청을 할 수 없는 물품입니다. 현재 상태: ${lostItem.status}`);
+    }
+    if (lostItem.pickupDeadline.getTime() < Date.now()) {
+      throw new HttpException(422, '찾아갈 수 있는 기한이 지났습니다.');
+    }
+
+    const [updatedCount] = await LostItem.update(
+      { status: LostItemStatus.CLAIMED, claimedAt: new Date() },
+      { where: { id: lostItem.id, status: LostItemStatus.HELD } },
+    );
+    if (updatedCount === 0) {
+      throw new HttpException(409, '이미 처리된 물품입니다.');
+    }
+    await sendLostItem(res, 200, lostItem.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /lost-items/{id}/collect:
+ *   patch:
+ *     summary: 보관 물품을 유저에게 전달 완료
+ *     description: 관리자 권한필요
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 처리 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LostItem'
+ */
+router.patch(
+  '/:id/collect',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const lostItem = await findLostItem(req.params.id);
+    const [updatedCount] = await LostItem.update(
+      { status: LostItemStatus.COLLECTED, collectedAt: new Date() },
+      { where: { id: lostItem.id, status: [LostItemStatus.HELD, LostItemStatus.CLAIMED] } },
+    );
+    if (updatedCount === 0) {
+      throw new HttpException(422, `전달 처리할 수 없는 물품입니다. 현재 상태: ${lostItem.status}`);
+    }
+    await sendLostItem(res, 200, lostItem.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /lost-items/{id}/dispose:
+ *   patch:
+ *     summary: 보관 물품 폐기
+ *     description: 관리자 권한필요, 찾아갈 기한이 지난 물품만 폐기 가능
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 처리 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LostItem'
+ */
+router.patch(
+  '/:id/dispose',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const lostItem = await findLostItem(req.params.id);
+    if (lostItem.pickupDeadline.getTime() > Date.now()) {
+      throw new HttpException(422, '찾아갈 수 있는 기한이 지나지 않았습니다.');
+    }
+
+    const [updatedCount] = await LostItem.update(
+      { status: LostItemStatus.DISPOSED, disposedAt: new Date() },
+      { where: { id: lostItem.id, status: [LostItemStatus.HELD, LostItemStatus.CLAIMED] } },
+    );
+    if (updatedCount === 0) {
+      throw new HttpException(422, `폐기할 수 없는 물품입니다. 현재 상태: ${lostItem.status}`);
+    }
+    await sendLostItem(res, 200, lostItem.id);
+  }),
+);
+
+module.exports = router;
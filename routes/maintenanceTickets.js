@@ -0,0 +1,511 @@
+const { Locker, Rental, MaintenanceTicket } = require('../models');
+const sequelize = require('../config/database');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const {
+  UserAuthority,
+  LockerStatus,
+  RentalStatus,
+  MaintenanceCategory,
+  MaintenanceTicketStatus,
+} = require('../models/enums');
+const { asyncHandler } = require('../functions');
+const { offerLocker, requeueHold } = require('../services/waitlist');
+const { publishLockerStatus } = require('../services/lockerStatusStream');
+
+function categoryValidation(category) {
+  if (!Object.values(MaintenanceCategory).includes(category)) {
+    throw new HttpException(
+      400,
+      `category 값은 다음과 같은 값만 입력해주세요. ${Object.values(MaintenanceCategory).join(', ')}`,
+    );
+  }
+}
+
+async function findLocker(lockerId) {
+  if (!Number.isInteger(lockerId) || lockerId <= 0) {
+    throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
+  }
+  const locker = await Locker.findByPk(lockerId);
+  if (!locker) {
+    throw new HttpException(404, `락커 ${lockerId}는 없습니다. `);
+  }
+  return locker;
+}
+
+async function findTicket(id) {
+  const ticketId = Number(id);
+  if (!Number.isInteger(ticketId) || ticketId <= 0) {
+    throw new HttpException(400, '유효한 ticket id 를 숫자로 입력해주세요.');
+  }
+  const ticket = await MaintenanceTicket.findByPk(ticketId);
+  if (!ticket) {
+    throw new HttpException(404, `정비 티켓 ${ticketId}는 없습니다.`);
+  }
+  return ticket;
+}
+
+async function sendTicket(res, statusCode, ticketId) {
+  const ticket = await MaintenanceTicket.findOne({
+    where: { id: ticketId },
+    attributes: { exclude: ['updatedAt'] },
+  });
+  res.status(statusCode).send(ticket);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MaintenanceTicket:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         lockerId:
+ *           type: number
+ *         stationId:
+ *           type: number
+ *         category:
+ *           type: string
+ *           enum: [broken door, broken lock, cleaning, abandoned items, other]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [reported, open, closed]
+ *         reportedByAdminId:
+ *           type: number
+ *           nullable: true
+ *         reportedByUserId:
+ *           type: number
+ *           nullable: true
+ *         technician:
+ *           type: string
+ *           nullable: true
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         assignedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolutionNote:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /maintenance-tickets:
+ *   post:
+ *     summary: 사물함 정비 티켓 생성
+ *     description: 관리자 권한필요, 티켓이 열리면 사물함은 관리중으로 변경
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               lockerId:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *                 enum: [broken door, broken lock, cleaning, abandoned items, other]
+ *               description:
+ *                 type: string
+ *               technician:
+ *                 type: string
+ *                 description: 담당 기사, 나중에 배정해도 됨
+ *     responses:
+ *       201:
+ *         description: 생성 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { lockerId, category, description, technician } = req.body;
+    categoryValidation(category);
+    const locker = await findLocker(lockerId);
+
+    const now = new Date();
+    const newTicket = await sequelize.transaction(async () => {
+      const ticket = await MaintenanceTicket.create({
+        lockerId,
+        stationId: locker.stationId,
+        category,
+        description,
+        status: MaintenanceTicketStatus.OPEN,
+        reportedByAdminId: req.user.id,
+        technician: technician || null,
+        openedAt: now,
+        assignedAt: technician ? now : null,
+      });
+      // 대기자를 위해 잡아둔 사물함이었다면 대기자는 순번을 유지한 채 다시 기다린다
+      await requeueHold(lockerId);
+      await Locker.update({ status: LockerStatus.UNDER_MANAGEMENT }, { where: { id: lockerId } });
+      return ticket;
+    });
+    await publishLockerStatus(lockerId);
+
+    await sendTicket(res, 201, newTicket.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /maintenance-tickets/reports:
+ *   post:
+ *     summary: 유저의 사물함 고장 신고
+ *     description: 신고는 reported 상태로 접수되고, 관리자가 티켓을 열어야 사물함이 관리중으로 변경
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               lockerId:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *                 enum: [broken door, broken lock, cleaning, abandoned items, other]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 신고 접수 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.post(
+  '/reports',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const { lockerId, category, description } = req.body;
+    categoryValidation(category);
+    const locker = await findLocker(lockerId);
+
+    const unresolvedTicket = await MaintenanceTicket.findOne({
+      where: { lockerId, status: [MaintenanceTicketStatus.REPORTED, MaintenanceTicketStatus.OPEN] },
+    });
+    if (unresolvedTicket) {
+      throw new HttpException(409, '이미 접수된 신고가 있는 사물함입니다.');
+    }
+
+    const newTicket = await MaintenanceTicket.create({
+      lockerId,
+      stationId: locker.stationId,
+      category,
+      description,
+      status: MaintenanceTicketStatus.REPORTED,
+      reportedByUserId: req.user.id,
+    });
+    await sendTicket(res, 201, newTicket.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /maintenance-tickets:
+ *   get:
+ *     summary: 정비 티켓 목록
+ *     description: 관리자 권한필요, 최근 순서로 조회
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [reported, open, closed]
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lockerId
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { status, stationId, lockerId } = req.query;
+    const where = {};
+    if (status) {
+      if (!Object.values(MaintenanceTicketStatus).includes(status)) {
+        throw new HttpException(
+          400,
+          `status 값은 다음과 같은 값만 입력해주세요. ${Object.values(MaintenanceTicketStatus).join(', ')}`,
+        );
+      }
+      where.status = status;
+    }
+    if (stationId) {
+      where.stationId = Number(stationId);
+    }
+    if (lockerId) {
+      where.lockerId = Number(lockerId);
+    }
+
+    const tickets = await MaintenanceTicket.findAll({
+      where,
+      attributes: { exclude: ['updatedAt'] },
+      order: [['createdAt', 'DESC']],
+    });
+    res.status(200).send(tickets);
+  }),
+);
+
+/**
+ * @swagger
+ * /maintenance-tickets/{id}:
+ *   get:
+ *     summary: 정비 티켓 조회
+ *     description: 관리자 권한필요
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const ticket = await findTicket(req.params.id);
+    await sendTicket(res, 200, ticket.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /maintenance-tickets/{id}/open:
+ *   patch:
+ *     summary: 유저가 신고한 티켓 열기
+ *     description: 관리자 권한필요, 사물함을 관리중으로 변경
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               technician:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 티켓 열기 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.patch(
+  '/:id/open',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { technician } = req.body;
+    const ticket = await findTicket(req.params.id);
+    if (ticket.status !== MaintenanceTicketStatus.REPORTED) {
+      throw new HttpException(422, `신고 접수 상태의 티켓만 열 수 있습니다. 현재 상태: ${ticket.status}`);
+    }
+
+    const now = new Date();
+    await sequelize.transaction(async () => {
+      const [updatedCount] = await MaintenanceTicket.update(
+        {
+          status: MaintenanceTicketStatus.OPEN,
+          reportedByAdminId: req.user.id,
+          openedAt: now,
+          technician: technician || ticket.technician,
+          assignedAt: technician ? now : ticket.assignedAt,
+        },
+        { where: { id: ticket.id, status: MaintenanceTicketStatus.REPORTED } },
+      );
+      if (updatedCount === 0) {
+        throw new HttpException(409, '이미 처리된 티켓입니다.');
+      }
+      await requeueHold(ticket.lockerId);
+      await Locker.update({ status: LockerStatus.UNDER_MANAGEMENT }, { where: { id: ticket.lockerId } });
+    });
+    await publishLockerStatus(ticket.lockerId);
+
+    await sendTicket(res, 200, ticket.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /maintenance-tickets/{id}/assign:
+ *   patch:
+ *     summary: 정비 티켓 담당 기사 배정
+ *     description: 관리자 권한필요
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               technician:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 배정 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.patch(
+  '/:id/assign',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { technician } = req.body;
+    if (!technician) {
+      throw new HttpException(400, 'technician 값을 입력해주세요.');
+    }
+    const ticket = await findTicket(req.params.id);
+    if (ticket.status === MaintenanceTicketStatus.CLOSED) {
+      throw new HttpException(422, '이미 닫힌 티켓입니다.');
+    }
+
+    await MaintenanceTicket.update({ technician, assignedAt: new Date() }, { where: { id: ticket.id } });
+    await sendTicket(res, 200, ticket.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /maintenance-tickets/{id}/close:
+ *   patch:
+ *     summary: 정비 티켓 닫기
+ *     description: 관리자 권한필요, 사물함에 열린 티켓이 더 없으면 비어 있는 상태로 (대여 중이면 사용중으로) 되돌리고 대기자에게 넘김
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               resolutionNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 티켓 닫기 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceTicket'
+ */
+router.patch(
+  '/:id/close',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const { resolutionNote } = req.body;
+    if (!resolutionNote) {
+      throw new HttpException(400, 'resolutionNote 값을 입력해주세요.');
+    }
+    const ticket = await findTicket(req.params.id);
+    if (ticket.status === MaintenanceTicketStatus.CLOSED) {
+      throw new HttpException(422, '이미 닫힌 티켓입니다.');
+    }
+
+    const isLockerReleased = await sequelize.transaction(async () => {
+      const [updatedCount] = await MaintenanceTicket.update(
+        { status: MaintenanceTicketStatus.CLOSED, closedAt: new Date(), resolutionNote },
+        { where: { id: ticket.id, status: ticket.status } },
+      );
+      if (updatedCount === 0) {
+        throw new HttpException(409, '이미 처리된 티켓입니다.');
+      }
+      // 신고만 접수된 티켓은 사물함 상태를 바꾸지 않았으므로 그대로 둔다
+      if (ticket.status !== MaintenanceTicketStatus.OPEN) {
+        return false;
+      }
+
+      const otherOpenTicket = await MaintenanceTicket.findOne({
+        where: { lockerId: ticket.lockerId, status: MaintenanceTicketStatus.OPEN },
+      });
+      if (otherOpenTicket) {
+        return false;
+      }
+
+      const activeRental = await Rental.findOne({
+        where: { lockerId: ticket.lockerId, status: RentalStatus.ACTIVE },
+      });
+      // 연체로 관리중으로 넘긴 대여가 남아 있으면 직원이 비울 때까지 관리중으로 둔다
+      if (activeRental && activeRental.escalatedAt) {
+        return false;
+      }
+      await Locker.update(
+        { status: activeRental ? LockerStatus.OCCUPIED : LockerStatus.UNOCCUPIED },
+        { where: { id: ticket.lockerId, status: LockerStatus.UNDER_MANAGEMENT } },
+      );
+      return !activeRental;
+    });
+
+    await publishLockerStatus(ticket.lockerId);
+    if (isLockerReleased) {
+      await offerLocker(ticket.lockerId);
+    }
+    await sendTicket(res, 200, ticket.id);
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const { Notification } = require('../models');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority } = require('../models/enums');
+const { asyncHandler } = require('../functions');
+
+/**
+ * @swagger
+ * /notifications/mine:
+ *   get:
+ *     summary: 로그인한 유저의 알림 목록 조회
+ *     description: 최근 알림부터 조회, unread=true 이면 읽지 않은 알림만 조회
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: string
+ *           enum: ['true']
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   message:
+ *                     type: string
+ *                   readAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get(
+  '/mine',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const where = { userId };
+    if (req.query.unread === 'true') {
+      where.readAt = null;
+    }
+
+    const notifications = await Notification.findAll({
+      where,
+      attributes: { exclude: ['updatedAt'] },
+      order: [['createdAt', 'DESC']],
+    });
+    res.status(200).send(notifications);
+  }),
+);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: 알림 읽음 처리
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: 읽음 처리 성공
+ */
+router.patch(
+  '/:id/read',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const notificationId = Number(req.params.id);
+    const userId = req.user.id;
+
+    if (!Number.isInteger(notificationId) || notificationId <= 0) {
+      throw new HttpException(400, '유효한 notification id 를 숫자로 입력해주세요.');
+    }
+
+    const notification = await Notification.findOne({ where: { id: notificationId, userId } });
+    if (!notification) {
+      throw new HttpException(404, `알림 ${notificationId}는 없습니다.`);
+    }
+
+    await Notification.update({ readAt: new Date() }, { where: { id: notificationId, readAt: null } });
+    res.status(204).send();
+  }),
+);
+
+module.exports = router;
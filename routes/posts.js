@@ -99,7 +99,7 @@ router.post(
  *         description: 보고 싶은 페이지 번호
  *     responses:
  *       200:
- *         description: 해당 페이지안에 있는 게시물 찾기 성공
+ *         description: 해당 페이지안에 있는 게시물 찾기 성공, 게시물이 하나도 없으면 items 가 빈 배열이고 totalPages 는 0
  *         content:
  *           application/json:
  *             schema:
@@ -0,0 +1,355 @@
+const { Op } = require('sequelize');
+const { Rental, User, Station, Locker, Reservation, Payment } = require('../models');
+const sequelize = require('../config/database');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority, RentalStatus, ReservationStatus, PaymentStatus } = require('../models/enums');
+const { asyncHandler, maxRentalHours, rentalDueDateTime, findUnpaidRentals } = require('../functions');
+const { calculateRentalCharge } = require('../services/pricing');
+const { getPaymentProvider } = require('../services/payment');
+
+/**
+ * @swagger
+ * /rentals/overdue:
+ *   get:
+ *     summary: 연체 중인 대여 목록
+ *     description: 관리자 권한필요, 반납 예정 시간이 오래된 순서로 조회
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   lockerId:
+ *                     type: number
+ *                   stationId:
+ *                     type: number
+ *                   stationName:
+ *                     type: string
+ *                   userId:
+ *                     type: number
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                   startDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   expectedEndDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   lateFee:
+ *                     type: number
+ *                   escalatedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                     description: 연체가 길어져 사물함을 관리중으로 넘긴 시간
+ */
+router.get(
+  '/overdue',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const overdueRentals = await Rental.findAll({
+      where: { status: RentalStatus.ACTIVE, isOverdue: true },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+      order: [['expectedEndDateTime', 'ASC']],
+    });
+
+    let overdueRentalInfo = [];
+    for (const overdueRental of overdueRentals) {
+      const user = await User.findOne({ where: { id: overdueRental.userId }, paranoid: false });
+      const station = await Station.findOne({ where: { id: overdueRental.stationId }, paranoid: false });
+      overdueRentalInfo.push({
+        ...overdueRental.dataValues,
+        email: user ? user.email : null,
+        stationName: station ? station.name : null,
+      });
+    }
+    res.status(200).send(overdueRentalInfo);
+  }),
+);
+
+/**
+ * @swagger
+ * /rentals/{id}/extend:
+ *   patch:
+ *     summary: 사용 중인 대여의 반납 예정 시간 연장
+ *     description: 역의 최대 대여 시간을 넘거나 연장하려는 시간에 해당 사물함의 예약이 있으면 연장 불가, 이미 연체 중인 대여는 반납 후 다시 대여해야 함, 예상 요금도 함께 갱신
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               hours:
+ *                 type: number
+ *                 description: 현재 반납 예정 시간에서 늘릴 시간
+ *     responses:
+ *       200:
+ *         description: 연장 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 lockerId:
+ *                   type: number
+ *                 startDateTime:
+ *                   type: string
+ *                   format: date-time
+ *                 expectedEndDateTime:
+ *                   type: string
+ *                   format: date-time
+ *                 expectedAmount:
+ *                   type: number
+ *                 isOverdue:
+ *                   type: boolean
+ *                 lateFee:
+ *                   type: number
+ *                 charge:
+ *                   $ref: '#/components/schemas/Charge'
+ */
+router.patch(
+  '/:id/extend',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const rentalId = Number(req.params.id);
+    const { hours } = req.body;
+    const userId = req.user.id;
+
+    if (!Number.isInteger(rentalId) || rentalId <= 0) {
+      throw new HttpException(400, '유효한 rental id 를 숫자로 입력해주세요.');
+    }
+    if (!Number.isInteger(hours) || hours <= 0) {
+      throw new HttpException(400, '연장할 시간(hours)을 1 이상의 정수로 입력해주세요.');
+    }
+
+    const rental = await Rental.findByPk(rentalId);
+    if (!rental) {
+      throw new HttpException(404, `대여 ${rentalId}는 없습니다.`);
+    }
+    if (rental.userId !== userId) {
+      throw new HttpException(403, '해당 유저의 대여가 아닙니다.');
+    }
+    if (rental.status !== RentalStatus.ACTIVE) {
+      throw new HttpException(422, '이미 반납된 대여입니다.');
+    }
+    // 연장으로 이미 쌓인 연체료가 다시 계산되어 사라지지 않게 연체 중인 대여는 연장하지 않는다
+    if (rental.isOverdue || (rental.expectedEndDateTime && rental.expectedEndDateTime.getTime() < Date.now())) {
+      throw new HttpException(422, '연체 중인 대여는 연장할 수 없습니다. 반납 후 다시 대여해주세요.');
+    }
+
+    // 반납 예정 시간이 없던 예전 대여는 역의 최대 대여 시간을 기준으로 연장
+    const currentEndDateTime =
+      rental.expectedEndDateTime || (await rentalDueDateTime(rental.stationId, rental.startDateTime));
+    const expectedEndDateTime = new Date(currentEndDateTime.getTime() + hours * 60 * 60 * 1000);
+    const maxHours = await maxRentalHours(rental.stationId);
+    if (expectedEndDateTime.getTime() - rental.startDateTime.getTime() > maxHours * 60 * 60 * 1000) {
+      throw new HttpException(422, `이 역의 최대 대여 시간은 ${maxHours}시간 입니다.`);
+    }
+
+    const charge = await sequelize.transaction(async () => {
+      // 예약 생성과 같은 사물함 잠금을 사용해서 연장 중에 겹치는 예약이 새로 생기지 않게 한다
+      await Locker.findOne({ where: { id: rental.lockerId }, lock: true });
+      const lockedRental = await Rental.findOne({ where: { id: rentalId }, lock: true });
+      if (lockedRental.status !== RentalStatus.ACTIVE) {
+        throw new HttpException(409, '이미 반납된 대여입니다.');
+      }
+      if (String(lockedRental.expectedEndDateTime) !== String(rental.expectedEndDateTime)) {
+        throw new HttpException(409, '다른 요청으로 반납 예정 시간이 변경되었습니다. 다시 시도해주세요.');
+      }
+      if (lockedRental.isOverdue) {
+        throw new HttpException(422, '연체 중인 대여는 연장할 수 없습니다. 반납 후 다시 대여해주세요.');
+      }
+
+      const upcomingReservation = await Reservation.findOne({
+        where: {
+          lockerId: rental.lockerId,
+          status: ReservationStatus.RESERVED,
+          startDateTime: { [Op.lt]: expectedEndDateTime },
+        },
+      });
+      if (upcomingReservation) {
+        throw new HttpException(
+          422,
+          `${upcomingReservation.startDateTime.toLocaleString()} 부터 다른 예약이 있어서 연장할 수 없습니다.`,
+        );
+      }
+
+      const expectedCharge = await calculateRentalCharge(
+        { ...lockedRental.dataValues, expectedEndDateTime },
+        expectedEndDateTime,
+      );
+      await Rental.update({ expectedEndDateTime, expectedAmount: expectedCharge.total }, { where: { id: rentalId } });
+      return expectedCharge;
+    });
+
+    const extendedRental = await Rental.findOne({
+      where: { id: rentalId },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    res.status(200).send({ ...extendedRental.dataValues, charge });
+  }),
+);
+
+/**
+ * @swagger
+ * /rentals/unpaid:
+ *   get:
+ *     summary: 로그인한 유저의 미납 요금이 있는 대여 목록
+ *     description: 미납 요금이 있으면 새로 대여할 수 없음
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   lockerId:
+ *                     type: number
+ *                   stationId:
+ *                     type: number
+ *                   startDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   endDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   amount:
+ *                     type: number
+ *                   status:
+ *                     type: string
+ *                     example: "cleared"
+ */
+router.get(
+  '/unpaid',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const unpaidRentals = await findUnpaidRentals(req.user.id);
+    res.status(200).send(unpaidRentals);
+  }),
+);
+
+/**
+ * @swagger
+ * /rentals/{id}/payment:
+ *   post:
+ *     summary: 미납 요금 결제
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               payment:
+ *                 type: object
+ *                 description: 결제 provider 에 전달할 결제 정보
+ *     responses:
+ *       200:
+ *         description: 결제 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rentalId:
+ *                   type: number
+ *                 amount:
+ *                   type: number
+ *                 transactionId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "paid"
+ *       402:
+ *         description: 결제 실패
+ */
+router.post(
+  '/:id/payment',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const rentalId = Number(req.params.id);
+    const { payment } = req.body;
+    const userId = req.user.id;
+
+    if (!Number.isInteger(rentalId) || rentalId <= 0) {
+      throw new HttpException(400, '유효한 rental id 를 숫자로 입력해주세요.');
+    }
+
+    const rental = await Rental.findByPk(rentalId);
+    if (!rental || rental.userId !== userId) {
+      throw new HttpException(404, '해당 유저의 대여가 없습니다.');
+    }
+    if (rental.status === RentalStatus.ACTIVE) {
+      throw new HttpException(422, '사용 중인 대여는 반납할 때 결제해주세요.');
+    }
+    if (!rental.amount) {
+      throw new HttpException(422, '결제할 요금이 없습니다.');
+    }
+
+    const paymentProvider = getPaymentProvider();
+    const result = await sequelize.transaction(async () => {
+      // 대여 기록을 잠가서 같은 미납 요금이 두 번 결제되지 않게 한다
+      await Rental.findOne({ where: { id: rentalId }, lock: true });
+      const paidPayment = await Payment.findOne({ where: { rentalId, status: PaymentStatus.PAID } });
+      if (paidPayment) {
+        throw new HttpException(409, '이미 결제된 대여입니다.');
+      }
+
+      const paymentResult = await paymentProvider.charge({
+        amount: rental.amount,
+        userId,
+        rentalId,
+        paymentDetails: payment,
+      });
+      const newPayment = await Payment.create({
+        rentalId,
+        userId,
+        amount: rental.amount,
+        provider: paymentProvider.name,
+        transactionId: paymentResult.success ? paymentResult.transactionId : null,
+        status: paymentResult.success ? PaymentStatus.PAID : PaymentStatus.FAILED,
+        chargedUntil: rental.endDateTime,
+      });
+      return { paid: paymentResult.success, payment: newPayment, message: paymentResult.message };
+    });
+
+    if (!result.paid) {
+      res.status(402).send({ message: result.message || '결제에 실패했습니다.' });
+      return;
+    }
+    const { amount, transactionId, status } = result.payment;
+    res.status(200).send({ rentalId, amount, transactionId, status });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,415 @@
+const { Locker, Rental, Reservation, User } = require('../models');
+const sequelize = require('../config/database');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const {
+  LockerStatus,
+  UserAuthority,
+  RentalStatus,
+  ReservationStatus,
+  LockerCommandReason,
+} = require('../models/enums');
+const {
+  asyncHandler,
+  lockerScheduleValidation,
+  generateUnlockPin,
+  rentalDueDateTime,
+  rentalEligibilityValidation,
+  stationOpenValidation,
+} = require('../functions');
+const { gracePeriodMinutes } = require('../config/reservation');
+const lockerController = require('../services/lockerController');
+const { calculateRentalCharge } = require('../services/pricing');
+const { publishLockerStatus } = require('../services/lockerStatusStream');
+const { offerLocker } = require('../services/waitlist');
+
+/**
+ * @swagger
+ * /reservations:
+ *   post:
+ *     summary: 사물함 사전 예약
+ *     requestBody:
+ *       description: 예약할 락커의 id 와 사용할 시간대, 유저의 아이디는 토큰을 이용하여 인증 후 req.user 에서 획득
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               lockerId:
+ *                 type: number
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: 예약 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 lockerId:
+ *                   type: number
+ *                 stationId:
+ *                   type: number
+ *                 userId:
+ *                   type: number
+ *                 startDateTime:
+ *                   type: string
+ *                   format: date-time
+ *                 endDateTime:
+ *                   type: string
+ *                   format: date-time
+ *                 status:
+ *                   type: string
+ *                   example: "reserved"
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const { lockerId, startDateTime, endDateTime } = req.body;
+    const userId = req.user.id;
+
+    if (!lockerId || !startDateTime || !endDateTime) {
+      throw new HttpException(400, 'lockerId, startDateTime, endDateTime 값을 모두 입력해주세요.');
+    }
+    if (!Number.isInteger(lockerId) || lockerId <= 0) {
+      throw new HttpException(400, '유효한 lockerId 를 숫자로 입력해주세요.');
+    }
+
+    const start = new Date(startDateTime);
+    const end = new Date(endDateTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new HttpException(400, '유효한 날짜와 시간을 입력해주세요.');
+    }
+    if (start.getTime() <= Date.now()) {
+      throw new HttpException(400, '예약 시작 시간은 현재 시간 이후여야 합니다.');
+    }
+    if (end.getTime() <= start.getTime()) {
+      throw new HttpException(400, '예약 종료 시간은 시작 시간 이후여야 합니다.');
+    }
+
+    const locker = await Locker.findByPk(lockerId);
+    if (!locker) {
+      throw new HttpException(404, `락커 ${lockerId}는 없습니다. `);
+    }
+    if (locker.status === LockerStatus.UNDER_MANAGEMENT) {
+      throw new HttpException(422, '선택하신 사물함은 관리중 입니다.');
+    }
+    // 예약 시작 시간에 사물함을 열고 종료 시간에 반납할 수 있어야 한다
+    for (const dateTime of [start, end]) {
+      const stationOpen = await stationOpenValidation(locker.stationId, dateTime);
+      if (!stationOpen.validation) {
+        throw new HttpException(stationOpen.statusCode, stationOpen.message, stationOpen.code);
+      }
+    }
+
+    await sequelize.transaction(async () => {
+      // 같은 사물함의 예약 요청을 순서대로 처리해서 겹치는 예약이 동시에 생기지 않게 한다
+      await Locker.findOne({ where: { id: lockerId }, lock: true });
+      const isAvailable = await lockerScheduleValidation(lockerId, start, end);
+      if (!isAvailable.validation) {
+        throw new HttpException(isAvailable.statusCode, isAvailable.message);
+      }
+
+      const newReservation = await Reservation.create({
+        userId,
+        lockerId,
+        stationId: locker.stationId,
+        startDateTime: start,
+        endDateTime: end,
+        status: ReservationStatus.RESERVED,
+      });
+      res.status(201).send(newReservation);
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /reservations/mine:
+ *   get:
+ *     summary: 로그인한 유저의 예약 목록 조회
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   lockerId:
+ *                     type: number
+ *                   stationId:
+ *                     type: number
+ *                   rentalId:
+ *                     type: number
+ *                     nullable: true
+ *                   startDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   endDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   status:
+ *                     type: string
+ *                     enum: [reserved, checked in, cancelled, no show]
+ */
+router.get(
+  '/mine',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const reservations = await Reservation.findAll({
+      where: { userId },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+      order: [['startDateTime', 'DESC']],
+    });
+    res.status(200).send(reservations);
+  }),
+);
+
+/**
+ * @swagger
+ * /reservations/{id}/check-in:
+ *   post:
+ *     summary: 예약한 사물함 체크인
+ *     description: 예약 시작 시간부터 유예 시간 안에 체크인 하면 예약이 대여로 전환
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 체크인 성공, 생성된 대여 정보 제공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 lockerId:
+ *                   type: number
+ *                 stationId:
+ *                   type: number
+ *                 userId:
+ *                   type: number
+ *                 startDateTime:
+ *                   type: string
+ *                   format: date-time
+ *                 status:
+ *                   type: string
+ *                   example: "active"
+ *                 pin:
+ *                   type: string
+ *                   example: "042917"
+ *                   description: 반납할 때까지 사물함을 열 때마다 쓰는 대여 PIN, 이 응답에서만 확인 가능
+ */
+router.post(
+  '/:id/check-in',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const reservationId = Number(req.params.id);
+    const userId = req.user.id;
+
+    if (!Number.isInteger(reservationId) || reservationId <= 0) {
+      throw new HttpException(400, '유효한 reservation id 를 숫자로 입력해주세요.');
+    }
+
+    const reservation = await Reservation.findByPk(reservationId);
+    if (!reservation) {
+      throw new HttpException(404, `예약 ${reservationId}는 없습니다.`);
+    }
+    if (reservation.userId !== userId) {
+      throw new HttpException(403, '해당 유저의 예약이 아닙니다.');
+    }
+    if (reservation.status !== ReservationStatus.RESERVED) {
+      throw new HttpException(422, `체크인 할 수 없는 예약입니다. 현재 상태: ${reservation.status}`);
+    }
+
+    const now = Date.now();
+    if (now < reservation.startDateTime.getTime()) {
+      throw new HttpException(422, '예약 시작 시간 전입니다.');
+    }
+    if (now > reservation.startDateTime.getTime() + gracePeriodMinutes * 60 * 1000) {
+      throw new HttpException(422, '체크인 가능 시간이 지났습니다.');
+    }
+
+    const locker = await Locker.findByPk(reservation.lockerId);
+    if (!locker) {
+      throw new HttpException(404, `락커 ${reservation.lockerId}는 없습니다. `);
+    }
+    if ([LockerStatus.OCCUPIED, LockerStatus.UNDER_MANAGEMENT, LockerStatus.HELD].includes(locker.status)) {
+      throw new HttpException(422, '예약한 사물함이 아직 비워지지 않았습니다.');
+    }
+    const stationOpen = await stationOpenValidation(locker.stationId);
+    if (!stationOpen.validation) {
+      throw new HttpException(stationOpen.statusCode, stationOpen.message, stationOpen.code);
+    }
+
+    // 예약한 종료 시간을 반납 예정 시간으로 하되 역의 최대 대여 시간을 넘지 않게 한다
+    const dueDateTime = await rentalDueDateTime(locker.stationId, now);
+    const expectedEndDateTime = new Date(Math.min(reservation.endDateTime.getTime(), dueDateTime.getTime()));
+    const expectedCharge = await calculateRentalCharge(
+      { lockerId: locker.id, stationId: locker.stationId, startDateTime: now, expectedEndDateTime },
+      expectedEndDateTime,
+    );
+    const { pin, pinHash } = await generateUnlockPin();
+    const newRental = await sequelize.transaction(async () => {
+      // 같은 유저의 대여 요청을 순서대로 처리해서 동시에 요청해도 대여 제한을 넘지 않게 한다
+      await User.findOne({ where: { id: userId }, lock: true });
+      const eligibility = await rentalEligibilityValidation(userId);
+      if (!eligibility.validation) {
+        throw new HttpException(eligibility.statusCode, eligibility.message, eligibility.code);
+      }
+
+      const [updatedCount] = await Locker.update(
+        {
+          userId,
+          startDateTime: now,
+          status: LockerStatus.OCCUPIED,
+          pinFailedAttempts: 0,
+          pinLockedUntil: null,
+        },
+        { where: { id: locker.id, status: [LockerStatus.UNOCCUPIED, LockerStatus.RESERVED] } },
+      );
+      if (updatedCount === 0) {
+        throw new HttpException(409, '다른 회원이 먼저 사물함을 대여했습니다.');
+      }
+
+      const rental = await Rental.create({
+        userId,
+        lockerId: locker.id,
+        stationId: locker.stationId,
+        startDateTime: now,
+        expectedEndDateTime,
+        expectedAmount: expectedCharge.total,
+        status: RentalStatus.ACTIVE,
+        pinHash,
+      });
+
+      const [checkedInCount] = await Reservation.update(
+        {
+          status: ReservationStatus.CHECKED_IN,
+          rentalId: rental.id,
+        },
+        { where: { id: reservationId, status: ReservationStatus.RESERVED } },
+      );
+      if (checkedInCount === 0) {
+        throw new HttpException(409, '이미 처리된 예약입니다.');
+      }
+      return rental;
+    });
+
+    await lockerController.sendUnlockCommand(locker, LockerCommandReason.RENTAL_STARTED);
+    await publishLockerStatus(locker.id);
+
+    // PIN 은 저장하지 않기 때문에 체크인한 유저에게 이 응답에서 한 번만 보여준다
+    const checkedInRental = await Rental.findByPk(newRental.id);
+    res.status(200).send({ ...checkedInRental.dataValues, pin });
+  }),
+);
+
+/**
+ * @swagger
+ * /reservations/{id}/cancel:
+ *   patch:
+ *     summary: 예약 취소
+ *     description: 체크인 전의 예약만 취소 가능, 사물함이 예약으로 잡혀 있었다면 비우고 대기자가 있으면 먼저 넘김
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 취소 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 status:
+ *                   type: string
+ *                   example: "cancelled"
+ *       409:
+ *         description: 취소하는 사이에 체크인 되었거나 no show 로 처리된 예약
+ */
+router.patch(
+  '/:id/cancel',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const reservationId = Number(req.params.id);
+    const userId = req.user.id;
+
+    if (!Number.isInteger(reservationId) || reservationId <= 0) {
+      throw new HttpException(400, '유효한 reservation id 를 숫자로 입력해주세요.');
+    }
+
+    const reservation = await Reservation.findByPk(reservationId);
+    if (!reservation) {
+      throw new HttpException(404, `예약 ${reservationId}는 없습니다.`);
+    }
+    if (reservation.userId !== userId) {
+      throw new HttpException(403, '해당 유저의 예약이 아닙니다.');
+    }
+    if (reservation.status !== ReservationStatus.RESERVED) {
+      throw new HttpException(422, `취소할 수 없는 예약입니다. 현재 상태: ${reservation.status}`);
+    }
+
+    const releasedCount = await sequelize.transaction(async () => {
+      const [cancelledCount] = await Reservation.update(
+        { status: ReservationStatus.CANCELLED },
+        { where: { id: reservationId, status: ReservationStatus.RESERVED } },
+      );
+      if (cancelledCount === 0) {
+        throw new HttpException(409, '이미 처리된 예약입니다.');
+      }
+
+      // 예약 시간이 시작되어 사물함이 잡혀 있던 경우에만 사물함을 풀어준다
+      if (reservation.startDateTime.getTime() > Date.now()) {
+        return 0;
+      }
+      const [updatedCount] = await Locker.update(
+        { status: LockerStatus.UNOCCUPIED },
+        { where: { id: reservation.lockerId, status: LockerStatus.RESERVED } },
+      );
+      return updatedCount;
+    });
+    await publishLockerStatus(reservation.lockerId);
+    // 풀린 사물함은 대기자에게 먼저 넘긴다
+    if (releasedCount > 0) {
+      await offerLocker(reservation.lockerId);
+    }
+
+    const cancelledReservation = await Reservation.findOne({
+      where: { id: reservationId },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    res.status(200).send(cancelledReservation);
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const { Session } = require('../models');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority } = require('../models/enums');
+const { asyncHandler } = require('../functions');
+const { accountWhere } = require('../services/authToken');
+const { findAccountSessions, revokeSession, revokeAccountSessions } = require('../services/session');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *           description: 로그인한 기기의 user-agent
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 로그인한 시간
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: 지금 요청을 보낸 세션인지
+ */
+
+/**
+ * @swagger
+ * /sessions/mine:
+ *   get:
+ *     summary: 내 로그인 세션 조회
+ *     description: 폐기되거나 만료되지 않은 세션을 최근에 쓴 순서로 조회
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ */
+router.get(
+  '/mine',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN, UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const sessions = await findAccountSessions(req.user);
+    res.status(200).send(sessions.map((session) => ({ ...session.dataValues, current: session.id === req.user.sid })));
+  }),
+);
+
+/**
+ * @swagger
+ * /sessions/revoke-all:
+ *   patch:
+ *     summary: 내 세션 모두 로그아웃
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *         description: true 면 지금 세션은 남기고 다른 기기만 로그아웃
+ *     responses:
+ *       200:
+ *         description: 로그아웃 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 revokedCount:
+ *                   type: number
+ */
+router.patch(
+  '/revoke-all',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN, UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revokedCount = await revokeAccountSessions(req.user, keepCurrent ? req.user.sid : undefined);
+    res.status(200).send({ revokedCount });
+  }),
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/revoke:
+ *   patch:
+ *     summary: 내 세션 하나 로그아웃
+ *     description: 그 세션의 access token 과 refresh token 은 바로 쓸 수 없게 됨
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: 로그아웃 성공
+ */
+router.patch(
+  '/:id/revoke',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN, UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const sessionId = Number(req.params.id);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      throw new HttpException(400, '유효한 session id 를 숫자로 입력해주세요.');
+    }
+
+    const session = await Session.findOne({ where: { id: sessionId, ...accountWhere(req.user) } });
+    if (!session) {
+      throw new HttpException(404, `세션 ${sessionId}는 없습니다.`);
+    }
+    if (session.revokedAt) {
+      throw new HttpException(409, '이미 로그아웃된 세션입니다.');
+    }
+
+    await revokeSession(sessionId);
+    res.status(204).send();
+  }),
+);
+
+module.exports = router;
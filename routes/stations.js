@@ -1,259 +1,1426 @@
-const { Station, Locker } = require('../models');
+const { Op } = require('sequelize');
+const {
+  Station,
+  Locker,
+  Tariff,
+  Reservation,
+  Line,
+  StationLine,
+  StationHour,
+  StationHourException,
+  StationClosure,
+} = require('../models');
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
-const { weatherApi, asyncHandler } = require('../functions');
-const { UserAuthority } = require('../models/enums');
+const { asyncHandler, lockerSearchFilter, geoDistance } = require('../functions');
+const { UserAuthority, LockerSize, ReservationStatus } = require('../models/enums');
 const sequelize = require('../config/database');
+const { findTariff } = require('../services/pricing');
+const lockerStatusStream = require('../services/lockerStatusStream');
+const { notify } = require('../services/notification');
+const { getStationWeather, getStationForecast } = require('../services/weather');
+const { countLockersByStation, stationAvailability } = require('../services/stationAvailability');
+const {
+  parseStationCsv,
+  parseStationGeoJson,
+  validateStationRows,
+  stationsToCsv,
+  stationsToGeoJson,
+} = require('../services/stationFile');
+const { stationOpenStatus, upcomingStationSchedule } = require('../services/stationHours');
+
+const STREAM_KEEP_ALIVE_MS = 30 * 1000;
+// radius 와 limit 이 모두 없을 때 /stations/nearby 에서 조회할 역 개수
+const NEARBY_DEFAULT_LIMIT = 5;
+const IMPORT_BODY_LIMIT = '5mb';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function findStation(id) {
+  const stationId = Number(id);
+  if (!Number.isInteger(stationId) || stationId <= 0) {
+    throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+  }
+  const station = await Station.findByPk(stationId);
+  if (!station) {
+    throw new HttpException(404, '해당하는 역은 없습니다.');
+  }
+  return station;
+}
+
+// closeTime 은 24:00 까지 입력할 수 있고, openTime 보다 이르면 다음날 새벽까지 운영하는 것으로 본다
+function operatingTimeValidation(openTime, closeTime) {
+  if (typeof openTime !== 'string' || !TIME_PATTERN.test(openTime)) {
+    throw new HttpException(400, 'openTime 은 HH:MM 형식으로 입력해주세요.');
+  }
+  if (typeof closeTime !== 'string' || !(TIME_PATTERN.test(closeTime) || closeTime === '24:00')) {
+    throw new HttpException(400, 'closeTime 은 HH:MM 형식으로 입력해주세요.');
+  }
+  if (openTime === closeTime) {
+    throw new HttpException(400, 'openTime 과 closeTime 이 같습니다.');
+  }
+}
+
+/**
+ * @swagger
+ * /stations:
+ *   post:
+ *     summary: 역 추가
+ *     requestBody:
+ *       description: 역 추가를 위한 이름, 좌표 값 필요, array 형식으로 입력 가능
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                   example: "서울역"
+ *                 latitude:
+ *                   type: number
+ *                   format: float
+ *                   example: 37.528
+ *                 longitude:
+ *                   type: number
+ *                   format: float
+ *                   example: 126.9294
+ *     responses:
+ *       201:
+ *         description: 역 추가 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 name:
+ *                   type: string
+ *                   example: "서울역"
+ *                 latitude:
+ *                   type: number
+ *                   format: float
+ *                   example: 37.5283169
+ *                 longitude:
+ *                   type: number
+ *                   format: float
+ *                   example: 126.9294254
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const stations = req.body;
+    const newStations = [];
+    const requiredKeys = ['name', 'latitude', 'longitude'];
+
+    if (!stations) {
+      throw new HttpException(400, '역을 추가하기 위한 데이터(역명, 경도, 위도) 를 입력해주세요.');
+    }
+
+    // 중간에 잘못된 역이 있으면 앞에서 추가한 역도 모두 되돌린다
+    await sequelize.transaction(async () => {
+      for (const station of stations) {
+        if (Object.keys(station).length === 0) {
+          throw new HttpException(400, '입력한 데이터가 비어 있습니다.');
+        }
+        if (typeof station !== 'object' || station === null) {
+          throw new HttpException(400, '입력한 데이터의 속성은 objects 이여야 합니다.');
+        }
+
+        const stationKeys = Object.keys(station);
+        if (!requiredKeys.every((key) => stationKeys.includes(key)) || stationKeys.length !== requiredKeys.length) {
+          throw new HttpException(400, 'data의 key 값이 잘 못되었습니다.');
+        }
+
+        const { name, latitude, longitude } = station;
+        if (typeof name !== 'string') {
+          throw new HttpException(400, 'name은 문자로 입력해주세요.');
+        }
+
+        if (typeof latitude !== 'number') {
+          throw new HttpException(400, 'latitude 는 숫자로 입력해주세요.');
+        }
+        if (!(-90 < latitude && 90 > latitude)) {
+          throw new HttpException(400, 'latitude 는 -90 에서 90 사이의 값을 입력해주세요.');
+        }
+        if (typeof longitude !== 'number') {
+          throw new HttpException(400, 'longitude 는 숫자로 입력해주세요.');
+        }
+        if (!(-180 < longitude && 180 > longitude)) {
+          throw new HttpException(400, 'longitude 는 -180 에서 180 사이의 값을 입력해주세요.');
+        }
+
+        const stationDuplication = await Station.findOne({
+          where: { name },
+        });
+
+        if (stationDuplication) {
+          throw new HttpException(422, `${name} 은 이미 저장되어 있습니다.`);
+        }
+
+        const newStation = await Station.create({
+          name,
+          latitude,
+          longitude,
+        });
+        newStations.push(newStation);
+      }
+    });
+    res.status(201).send(newStations);
+  }),
+);
+
+/**
+ * @swagger
+ * /stations:
+ *   get:
+ *     summary: 모든 역을 찾아서 맵에 보여주기
+ *     parameters:
+ *       - in: query
+ *         name: lineId
+ *         schema:
+ *           type: number
+ *         description: 이 노선의 역만 조회
+ *     responses:
+ *       200:
+ *         description: 모든 역 찾기 성공하여 맵에 보여주기
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   name:
+ *                     type: string
+ *                   latitude:
+ *                     type: number
+ *                     format: float
+ *                   longitude:
+ *                     type: number
+ *                     format: float
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   updatedAt:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const where = {};
+    if (req.query.lineId !== undefined) {
+      const lineId = Number(req.query.lineId);
+      if (!Number.isInteger(lineId) || lineId <= 0) {
+        throw new HttpException(400, '유효한 lineId 를 숫자로 입력해주세요.');
+      }
+      const line = await Line.findByPk(lineId);
+      if (!line) {
+        throw new HttpException(404, `노선 ${lineId}는 없습니다.`);
+      }
+      const stationLines = await StationLine.findAll({ where: { lineId }, attributes: ['stationId'] });
+      where.id = stationLines.map((stationLine) => stationLine.stationId);
+    }
+
+    const allStations = await Station.findAll({ where });
+    res.status(200).send(allStations);
+  }),
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LockerCounts:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: number
+ *         unoccupied:
+ *           type: number
+ *         occupied:
+ *           type: number
+ *         underManagement:
+ *           type: number
+ *         reserved:
+ *           type: number
+ *         held:
+ *           type: number
+ *     StationAvailability:
+ *       allOf:
+ *         - $ref: '#/components/schemas/LockerCounts'
+ *         - type: object
+ *           properties:
+ *             sizes:
+ *               type: object
+ *               description: small, medium, large, oversized 크기별 사물함 수
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/LockerCounts'
+ */
+
+/**
+ * @swagger
+ * /stations/availability:
+ *   get:
+ *     summary: 모든 역의 상태별, 크기별 사물함 수
+ *     description: 맵에서 역 마커를 얼마나 차 있는지에 따라 색칠할 때 사용, 날씨 API 는 호출하지 않음
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   name:
+ *                     type: string
+ *                   latitude:
+ *                     type: number
+ *                     format: float
+ *                   longitude:
+ *                     type: number
+ *                     format: float
+ *                   availability:
+ *                     $ref: '#/components/schemas/StationAvailability'
+ */
+router.get(
+  '/availability',
+  asyncHandler(async (req, res) => {
+    const allStations = await Station.findAll({
+      attributes: ['id', 'name', 'latitude', 'longitude'],
+    });
+    const summaries = await countLockersByStation();
+
+    const stationAvailabilities = allStations.map((station) => ({
+      ...station.dataValues,
+      availability: stationAvailability(summaries, station.id),
+    }));
+    res.status(200).send(stationAvailabilities);
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/nearby:
+ *   get:
+ *     summary: 좌표에서 가까운 역 검색
+ *     description: radius 를 주면 반경 안의 역, limit 을 주면 가까운 순서로 limit 개의 역, 둘 다 없으면 가까운 5개 역을 거리순으로 조회
+ *     parameters:
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *           format: float
+ *         required: true
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *           format: float
+ *         required: true
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *         description: 검색 반경(km)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *         description: 조회할 역 개수
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [small, medium, large, oversized]
+ *         description: 이 크기의 빈 사물함이 있는 역만 조회
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   name:
+ *                     type: string
+ *                   latitude:
+ *                     type: number
+ *                     format: float
+ *                   longitude:
+ *                     type: number
+ *                     format: float
+ *                   distance:
+ *                     type: number
+ *                     description: 검색 좌표에서의 거리(km)
+ *                   freeLockers:
+ *                     type: number
+ *                     description: 빈 사물함 수, size 를 주면 해당 크기의 빈 사물함 수
+ *                   availability:
+ *                     $ref: '#/components/schemas/StationAvailability'
+ */
+router.get(
+  '/nearby',
+  asyncHandler(async (req, res) => {
+    const { latitude, longitude, radius, limit, size } = req.query;
+    const origin = { latitude: Number(latitude), longitude: Number(longitude) };
+
+    if (!latitude || !Number.isFinite(origin.latitude) || Math.abs(origin.latitude) > 90) {
+      throw new HttpException(400, 'latitude 값을 -90 ~ 90 사이의 숫자로 입력해주세요.');
+    }
+    if (!longitude || !Number.isFinite(origin.longitude) || Math.abs(origin.longitude) > 180) {
+      throw new HttpException(400, 'longitude 값을 -180 ~ 180 사이의 숫자로 입력해주세요.');
+    }
+    if (radius !== undefined && !(Number(radius) > 0)) {
+      throw new HttpException(400, 'radius 값을 0 보다 큰 숫자(km)로 입력해주세요.');
+    }
+    if (limit !== undefined && (!Number.isInteger(Number(limit)) || Number(limit) <= 0)) {
+      throw new HttpException(400, 'limit 값을 1 이상의 정수로 입력해주세요.');
+    }
+    if (size !== undefined && !Object.values(LockerSize).includes(size)) {
+      throw new HttpException(400, `size 값은 다음과 같은 값만 입력해주세요. ${Object.values(LockerSize).join(', ')}`);
+    }
+
+    const allStations = await Station.findAll({
+      attributes: ['id', 'name', 'latitude', 'longitude'],
+    });
+    const summaries = await countLockersByStation();
+
+    let nearbyStations = allStations
+      .map((station) => {
+        const availability = stationAvailability(summaries, station.id);
+        return {
+          ...station.dataValues,
+          distance: geoDistance(origin, { latitude: Number(station.latitude), longitude: Number(station.longitude) }),
+          freeLockers: size ? availability.sizes[size].unoccupied : availability.unoccupied,
+          availability,
+        };
+      })
+      .filter((station) => radius === undefined || station.distance <= Number(radius))
+      .filter((station) => size === undefined || station.freeLockers > 0)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (limit !== undefined || radius === undefined) {
+      nearbyStations = nearbyStations.slice(0, limit !== undefined ? Number(limit) : NEARBY_DEFAULT_LIMIT);
+    }
+    res.status(200).send(nearbyStations);
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/import:
+ *   post:
+ *     summary: CSV 또는 GeoJSON 파일로 역 일괄 추가
+ *     description: |
+ *       관리자 권한필요, 모든 행을 먼저 검사해서 하나라도 잘못되면 아무것도 추가하지 않고 행마다 오류를 돌려줌.
+ *       CSV 는 Content-Type text/csv 에 name, latitude, longitude 헤더가 필요하고 row 는 헤더를 1 로 센 레코드 번호.
+ *       GeoJSON 은 Point Feature 의 FeatureCollection 이고 역명은 properties.name, row 는 1 부터 센 feature 번호.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: true 면 검사만 하고 저장하지 않음
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "name,latitude,longitude\n서울역,37.5546788,126.9706069"
+ *         application/geo+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: dryRun 검사 통과
+ *       201:
+ *         description: 추가 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 stations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       name:
+ *                         type: string
+ *                       latitude:
+ *                         type: number
+ *                         format: float
+ *                       longitude:
+ *                         type: number
+ *                         format: float
+ *       422:
+ *         description: 잘못된 행이 있어서 추가하지 않음
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: number
+ *                       message:
+ *                         type: string
+ */
+router.post(
+  '/import',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  express.json({ type: 'application/geo+json', limit: IMPORT_BODY_LIMIT }),
+  asyncHandler(async (req, res) => {
+    const { dryRun } = req.query;
+    if (dryRun !== undefined && dryRun !== 'true' && dryRun !== 'false') {
+      throw new HttpException(400, 'dryRun 값은 true 또는 false 로 입력해주세요.');
+    }
+
+    const parsed = typeof req.body === 'string' ? parseStationCsv(req.body) : parseStationGeoJson(req.body);
+    if (!parsed.validation) {
+      throw new HttpException(400, parsed.message);
+    }
+    if (parsed.rows.length === 0) {
+      throw new HttpException(400, '추가할 역이 없습니다.');
+    }
+
+    const importStations = async () => {
+      const errors = await validateStationRows(parsed.rows);
+      if (errors.length > 0) {
+        return { errors };
+      }
+      if (dryRun === 'true') {
+        return { stations: parsed.rows.map(({ name, latitude, longitude }) => ({ name, latitude, longitude })) };
+      }
+      const newStations = await Station.bulkCreate(
+        parsed.rows.map(({ name, latitude, longitude }) => ({ name, latitude, longitude })),
+      );
+      return { stations: newStations.map(({ id, name, latitude, longitude }) => ({ id, name, latitude, longitude })) };
+    };
+
+    // 실제로 추가할 때는 중복 역명 검사와 추가를 한 트랜잭션에서 해서 전부 추가하거나 전부 되돌린다
+    const result = dryRun === 'true' ? await importStations() : await sequelize.transaction(importStations);
+    if (result.errors) {
+      res.status(422).send({
+        message: `${result.errors.length}개의 오류가 있어서 역을 추가하지 않았습니다.`,
+        errors: result.errors,
+      });
+      return;
+    }
+    res
+      .status(dryRun === 'true' ? 200 : 201)
+      .send({ dryRun: dryRun === 'true', count: result.stations.length, stations: result.stations });
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/export:
+ *   get:
+ *     summary: 역과 상태별 사물함 수를 CSV 또는 GeoJSON 으로 내보내기
+ *     description: 관리자 권한필요, 내보낸 CSV 와 GeoJSON 은 /stations/import 로 다시 가져올 수 있음
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, geojson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: 내보내기 성공
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ */
+router.get(
+  '/export',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv' && format !== 'geojson') {
+      throw new HttpException(400, 'format 값은 csv 또는 geojson 으로 입력해주세요.');
+    }
+
+    const allStations = await Station.findAll({
+      attributes: ['id', 'name', 'latitude', 'longitude'],
+      order: [['id', 'ASC']],
+    });
+    const summaries = await countLockersByStation();
+    const stations = allStations.map((station) => ({
+      ...station.dataValues,
+      availability: stationAvailability(summaries, station.id),
+    }));
+
+    if (format === 'geojson') {
+      res.set('Content-Disposition', 'attachment; filename="stations.geojson"');
+      res
+        .type('application/geo+json')
+        .status(200)
+        .send(JSON.stringify(stationsToGeoJson(stations)));
+      return;
+    }
+    res.set('Content-Disposition', 'attachment; filename="stations.csv"');
+    res.type('text/csv').status(200).send(stationsToCsv(stations));
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/{id}:
+ *   get:
+ *     summary: 역 아이디로 해당 역 정보 찾기
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [small, medium, large, oversized]
+ *         description: 해당 크기의 사물함만 보여주기
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: true 면 비어 있는 사물함만 보여주기
+ *     responses:
+ *       200:
+ *         description: 역 위치와 해당 역에 있는 사물함 찾기 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 name:
+ *                   type: string
+ *                 latitude:
+ *                   type: number
+ *                   format: float
+ *                 longitude:
+ *                   type: number
+ *                   format: float
+ *                 temperature:
+ *                   type: number
+ *                   format: float
+ *                   nullable: true
+ *                 humidity:
+ *                   type: number
+ *                   format: float
+ *                   nullable: true
+ *                 weather:
+ *                   type: object
+ *                   description: 날씨 provider 가 실패하면 available 이 false 이고 사물함 정보는 그대로 응답
+ *                   properties:
+ *                     available:
+ *                       type: boolean
+ *                     temperature:
+ *                       type: number
+ *                       format: float
+ *                     humidity:
+ *                       type: number
+ *                     description:
+ *                       type: string
+ *                       example: "맑음"
+ *                     fetchedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     message:
+ *                       type: string
+ *                       description: available 이 false 일 때의 안내 문구
+ *                 forecast:
+ *                   type: object
+ *                   description: 역 좌표의 앞으로 12시간 예보, 날씨 provider 가 실패하면 available 이 false
+ *                   properties:
+ *                     available:
+ *                       type: boolean
+ *                     stepHours:
+ *                       type: number
+ *                       description: 예보 한 칸의 시간 간격, OpenWeather 무료 예보는 3시간 단위
+ *                       example: 3
+ *                     hours:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           time:
+ *                             type: string
+ *                             format: date-time
+ *                             description: 예보 칸의 시작 시간, time 부터 stepHours 시간 동안의 예보
+ *                           temperature:
+ *                             type: number
+ *                             format: float
+ *                           precipitationProbability:
+ *                             type: number
+ *                             description: 0 ~ 1
+ *                           precipitation:
+ *                             type: number
+ *                             description: 시간당 강수량(mm)
+ *                           description:
+ *                             type: string
+ *                     recommendation:
+ *                       type: object
+ *                       nullable: true
+ *                       description: 비나 추위가 예보되면 맡길 짐에 맞는 사물함 크기 추천
+ *                       properties:
+ *                         size:
+ *                           type: string
+ *                           enum: [small, medium, large, oversized]
+ *                         message:
+ *                           type: string
+ *                     fetchedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     message:
+ *                       type: string
+ *                 isOpen:
+ *                   type: boolean
+ *                   description: 지금 역이 운영 중인지
+ *                 closedReason:
+ *                   type: string
+ *                   nullable: true
+ *                   description: 운영 중이 아니면 휴업 또는 휴무 사유
+ *                 nextOpenAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: 운영 중이 아니면 다음에 문을 여는 시간
+ *                 lockers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       startDateTime:
+ *                         type: string
+ *                         format: date-time
+ *                       endDateTime:
+ *                         type: string
+ *                         format: date-time
+ *                       status:
+ *                         type: string
+ *                         default: "unoccupied"
+ *                       size:
+ *                         type: string
+ *                         default: "medium"
+ *                       userId:
+ *                         type: number
+ *                       stationID:
+ *                         type: number
+ *
+ */
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const stationId = Number(req.params.id);
+
+    if (!stationId) {
+      throw new HttpException(400, 'id 값을 입력해주세요.');
+    }
+
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+
+    const filter = lockerSearchFilter(req.query.size, req.query.available);
+    if (!filter.validation) {
+      throw new HttpException(filter.statusCode, filter.message);
+    }
+
+    const station = await Station.findOne({
+      where: { id: stationId },
+      attributes: { exclude: ['updatedAt', 'createdAt'] },
+    });
+
+    if (!station) {
+      throw new HttpException(404, '해당하는 역은 없습니다.');
+    }
+
+    const weather = await getStationWeather(station);
+    const forecast = await getStationForecast(station);
+    const lockers = await Locker.findAll({
+      where: { ...filter.where, stationId },
+      attributes: { exclude: ['updatedAt', 'createdAt'] },
+    });
+
+    const openStatus = await stationOpenStatus(stationId);
+
+    const stationMetaData = {
+      station: station.dataValues,
+      lockers,
+      temperature: weather.available ? weather.temperature : null,
+      humidity: weather.available ? weather.humidity : null,
+      weather,
+      forecast,
+      isOpen: openStatus.isOpen,
+      closedReason: openStatus.reason,
+      nextOpenAt: openStatus.nextOpenAt,
+    };
+    res.status(200).send(stationMetaData);
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/{id}/lockers/stream:
+ *   get:
+ *     summary: 역의 사물함 상태 변경 실시간 구독 (Server-Sent Events)
+ *     description: 대여, 반납, 관리 상태 변경, 삭제 등으로 사물함 상태가 바뀔 때마다 data 로 JSON 을 보냄
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 구독 성공, 연결이 끊길 때까지 이벤트 전송
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lockerId:
+ *                   type: number
+ *                 stationId:
+ *                   type: number
+ *                 status:
+ *                   type: string
+ *                   enum: [unoccupied, occupied, under management, reserved, held]
+ *                 size:
+ *                   type: string
+ *                 deleted:
+ *                   type: boolean
+ */
+router.get(
+  '/:id/lockers/stream',
+  asyncHandler(async (req, res) => {
+    const stationId = Number(req.params.id);
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 역 id 를 숫자로 입력해주세요.');
+    }
+    const station = await Station.findByPk(stationId);
+    if (!station) {
+      throw new HttpException(404, '해당하는 역은 등록되어 있지 않습니다.');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    const unsubscribe = lockerStatusStream.subscribe(stationId, (lockerStatus) => {
+      res.write(`data: ${JSON.stringify(lockerStatus)}\n\n`);
+    });
+    // 프록시가 유휴 연결을 끊지 않도록 주기적으로 주석을 보낸다
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/{id}/tariffs:
+ *   get:
+ *     summary: 역의 사물함 크기별 요금표 조회
+ *     description: 역에 따로 등록된 요금이 없는 크기는 기본 요금으로 표시
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   size:
+ *                     type: string
+ *                     enum: [small, medium, large, oversized]
+ *                   baseHours:
+ *                     type: number
+ *                   baseFee:
+ *                     type: number
+ *                   hourlyRate:
+ *                     type: number
+ *                   dailyCap:
+ *                     type: number
+ */
+router.get(
+  '/:id/tariffs',
+  asyncHandler(async (req, res) => {
+    const stationId = Number(req.params.id);
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+    const station = await Station.findByPk(stationId);
+    if (!station) {
+      throw new HttpException(404, '해당하는 역은 없습니다.');
+    }
+
+    const tariffs = [];
+    for (const size of Object.values(LockerSize)) {
+      const tariff = await findTariff(stationId, size);
+      tariffs.push({ size, ...tariff });
+    }
+    res.status(200).send(tariffs);
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/{id}/tariffs:
+ *   post:
+ *     summary: 역의 사물함 크기별 요금 등록 및 수정
+ *     description: 관리자 권한필요, 같은 크기의 요금이 이미 있으면 수정
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 enum: [small, medium, large, oversized]
+ *               baseHours:
+ *                 type: number
+ *                 example: 4
+ *               baseFee:
+ *                 type: number
+ *                 example: 2000
+ *               hourlyRate:
+ *                 type: number
+ *                 example: 500
+ *               dailyCap:
+ *                 type: number
+ *                 example: 10000
+ *     responses:
+ *       200:
+ *         description: 요금 등록 성공
+ */
+router.post(
+  '/:id/tariffs',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const stationId = Number(req.params.id);
+    const { size, baseHours, baseFee, hourlyRate, dailyCap } = req.body;
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+    if (!Object.values(LockerSize).includes(size)) {
+      throw new HttpException(400, `size 값은 다음과 같은 값만 입력해주세요. ${Object.values(LockerSize).join(', ')}`);
+    }
+    for (const [key, value] of Object.entries({ baseHours, baseFee, hourlyRate, dailyCap })) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new HttpException(400, `${key} 는 0 이상의 정수로 입력해주세요.`);
+      }
+    }
+    const station = await Station.findByPk(stationId);
+    if (!station) {
+      throw new HttpException(404, '해당하는 역은 없습니다.');
+    }
+
+    await sequelize.transaction(async () => {
+      const tariff = await Tariff.findOne({ where: { stationId, size } });
+      if (tariff) {
+        await Tariff.update({ baseHours, baseFee, hourlyRate, dailyCap }, { where: { id: tariff.id } });
+      }
+      if (!tariff) {
+        await Tariff.create({ stationId, size, baseHours, baseFee, hourlyRate, dailyCap });
+      }
+
+      const savedTariff = await Tariff.findOne({
+        where: { stationId, size },
+        attributes: { exclude: ['createdAt', 'updatedAt'] },
+      });
+      res.status(200).send(savedTariff);
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StationHour:
+ *       type: object
+ *       properties:
+ *         dayOfWeek:
+ *           type: number
+ *           description: 0(일요일) ~ 6(토요일)
+ *         openTime:
+ *           type: string
+ *           example: "05:30"
+ *         closeTime:
+ *           type: string
+ *           example: "01:00"
+ *           description: openTime 보다 이르면 다음날 새벽까지 운영, 24:00 까지 입력 가능
+ *     StationHourException:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         date:
+ *           type: string
+ *           format: date
+ *         openTime:
+ *           type: string
+ *           nullable: true
+ *           description: 없으면 하루 종일 휴무
+ *         closeTime:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *     StationClosure:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *         endDateTime:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /stations/{id}/hours:
+ *   get:
+ *     summary: 역 운영 시간, 예정된 예외 날짜와 휴업 기간 조회
+ *     description: 요일별 운영 시간이 하나도 없으면 24시간 운영, 하나라도 있으면 등록되지 않은 요일은 휴무
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isOpen:
+ *                   type: boolean
+ *                 closedReason:
+ *                   type: string
+ *                   nullable: true
+ *                 nextOpenAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 hours:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StationHour'
+ *                 exceptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StationHourException'
+ *                 closures:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StationClosure'
+ */
+router.get(
+  '/:id/hours',
+  asyncHandler(async (req, res) => {
+    const station = await findStation(req.params.id);
+    const openStatus = await stationOpenStatus(station.id);
+    const schedule = await upcomingStationSchedule(station.id);
+    res.status(200).send({
+      isOpen: openStatus.isOpen,
+      closedReason: openStatus.reason,
+      nextOpenAt: openStatus.nextOpenAt,
+      ...schedule,
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /stations/{id}/hours:
+ *   post:
+ *     summary: 역의 요일별 운영 시간 등록 및 수정
+ *     description: 관리자 권한필요, 기존 요일별 운영 시간을 입력한 값으로 모두 바꾸고 빈 배열을 보내면 24시간 운영
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               hours:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/StationHour'
+ *     responses:
+ *       200:
+ *         description: 등록 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StationHour'
+ */
+router.post(
+  '/:id/hours',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const station = await findStation(req.params.id);
+    const { hours } = req.body;
+    if (!Array.isArray(hours)) {
+      throw new HttpException(400, 'hours 는 배열로 입력해주세요.');
+    }
+
+    const daysOfWeek = new Set();
+    for (const { dayOfWeek, openTime, closeTime } of hours) {
+      if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        throw new HttpException(400, 'dayOfWeek 는 0(일요일) 에서 6(토요일) 사이의 정수로 입력해주세요.');
+      }
+      if (daysOfWeek.has(dayOfWeek)) {
+        throw new HttpException(400, `dayOfWeek ${dayOfWeek} 가 중복되었습니다.`);
+      }
+      daysOfWeek.add(dayOfWeek);
+      operatingTimeValidation(openTime, closeTime);
+    }
+
+    await sequelize.transaction(async () => {
+      await StationHour.destroy({ where: { stationId: station.id } });
+      await StationHour.bulkCreate(
+        hours.map(({ dayOfWeek, openTime, closeTime }) => ({ stationId: station.id, dayOfWeek, openTime, closeTime })),
+      );
+    });
+
+    const { hours: savedHours } = await upcomingStationSchedule(station.id);
+    res.status(200).send(savedHours);
+  }),
+);
 
 /**
  * @swagger
- * /stations:
+ * /stations/{id}/hour-exceptions:
  *   post:
- *     summary: 역 추가
+ *     summary: 특정 날짜의 운영 시간 등록
+ *     description: 관리자 권한필요, 공휴일처럼 그 날짜에만 요일별 운영 시간 대신 적용, openTime 과 closeTime 이 없으면 하루 종일 휴무
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
  *     requestBody:
- *       description: 역 추가를 위한 이름, 좌표 값 필요, array 형식으로 입력 가능
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: array
- *             items:
- *               type: object
- *               properties:
- *                 name:
- *                   type: string
- *                   example: "서울역"
- *                 latitude:
- *                   type: number
- *                   format: float
- *                   example: 37.528
- *                 longitude:
- *                   type: number
- *                   format: float
- *                   example: 126.9294
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-09-17"
+ *               openTime:
+ *                 type: string
+ *               closeTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 example: "추석"
  *     responses:
  *       201:
- *         description: 역 추가 성공
+ *         description: 등록 성공
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: number
- *                 name:
- *                   type: string
- *                   example: "서울역"
- *                 latitude:
- *                   type: number
- *                   format: float
- *                   example: 37.5283169
- *                 longitude:
- *                   type: number
- *                   format: float
- *                   example: 126.9294254
- *                 createdAt:
- *                   type: string
- *                   format: date-time
- *                 updatedAt:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/StationHourException'
  */
 router.post(
-  '/',
+  '/:id/hour-exceptions',
   authenticateToken,
   authorityConfirmation([UserAuthority.ADMIN]),
   asyncHandler(async (req, res) => {
-    const stations = req.body;
-    const newStations = [];
-    const requiredKeys = ['name', 'latitude', 'longitude'];
-
-    if (!stations) {
-      throw new HttpException(400, '역을 추가하기 위한 데이터(역명, 경도, 위도) 를 입력해주세요.');
+    const station = await findStation(req.params.id);
+    const { date, openTime, closeTime, reason } = req.body;
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())) {
+      throw new HttpException(400, 'date 는 YYYY-MM-DD 형식으로 입력해주세요.');
+    }
+    if (openTime !== undefined || closeTime !== undefined) {
+      operatingTimeValidation(openTime, closeTime);
+    }
+    if (reason !== undefined && typeof reason !== 'string') {
+      throw new HttpException(400, 'reason 은 문자로 입력해주세요.');
     }
 
-    for (const station of stations) {
-      if (Object.keys(station).length === 0) {
-        throw new HttpException(400, '입력한 데이터가 비어 있습니다.');
-      }
-      if (typeof station !== 'object' || station === null) {
-        throw new HttpException(400, '입력한 데이터의 속성은 objects 이여야 합니다.');
-      }
-
-      const stationKeys = Object.keys(station);
-      if (!requiredKeys.every((key) => stationKeys.includes(key)) || stationKeys.length !== requiredKeys.length) {
-        throw new HttpException(400, 'data의 key 값이 잘 못되었습니다.');
-      }
-
-      const { name, latitude, longitude } = station;
-      if (typeof name !== 'string') {
-        throw new HttpException(400, 'name은 문자로 입력해주세요.');
-      }
-
-      if (typeof latitude !== 'number') {
-        throw new HttpException(400, 'latitude 는 숫자로 입력해주세요.');
-      }
-      if (!(-90 < latitude && 90 > latitude)) {
-        throw new HttpException(400, 'latitude 는 -90 에서 90 사이의 값을 입력해주세요.');
-      }
-      if (typeof longitude !== 'number') {
-        throw new HttpException(400, 'longitude 는 숫자로 입력해주세요.');
-      }
-      if (!(-180 < longitude && 180 > longitude)) {
-        throw new HttpException(400, 'longitude 는 -180 에서 180 사이의 값을 입력해주세요.');
-      }
-
-      const stationDuplication = await Station.findOne({
-        where: { name },
-      });
-
-      if (stationDuplication) {
-        throw new HttpException(422, `${name} 은 이미 저장되어 있습니다.`);
-      }
-
-      const newStation = await Station.create({
-        name,
-        latitude,
-        longitude,
-      });
-      newStations.push(newStation);
+    const exceptionDuplication = await StationHourException.findOne({ where: { stationId: station.id, date } });
+    if (exceptionDuplication) {
+      throw new HttpException(409, `${date} 의 운영 시간이 이미 등록되어 있습니다.`);
     }
-    res.status(201).send(newStations);
+
+    const newException = await StationHourException.create({
+      stationId: station.id,
+      date,
+      openTime: openTime || null,
+      closeTime: closeTime || null,
+      reason: reason || null,
+    });
+    const savedException = await StationHourException.findOne({
+      where: { id: newException.id },
+      attributes: ['id', 'date', 'openTime', 'closeTime', 'reason'],
+    });
+    res.status(201).send(savedException);
   }),
 );
 
 /**
  * @swagger
- * /stations:
- *   get:
- *     summary: 모든 역을 찾아서 맵에 보여주기
+ * /stations/{id}/hour-exceptions/{exceptionId}:
+ *   delete:
+ *     summary: 특정 날짜의 운영 시간 삭제
+ *     description: 관리자 권한필요, 삭제하면 그 날짜는 요일별 운영 시간을 따름
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: path
+ *         name: exceptionId
+ *         schema:
+ *           type: number
+ *         required: true
  *     responses:
- *       200:
- *         description: 모든 역 찾기 성공하여 맵에 보여주기
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: number
- *                   name:
- *                     type: string
- *                   latitude:
- *                     type: number
- *                     format: float
- *                   longitude:
- *                     type: number
- *                     format: float
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- *                   updatedAt:
- *                     type: string
- *                     format: date-time
+ *       204:
+ *         description: 삭제 성공
  */
-router.get(
-  '/',
+router.delete(
+  '/:id/hour-exceptions/:exceptionId',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
   asyncHandler(async (req, res) => {
-    const allStations = await Station.findAll();
-    res.status(200).send(allStations);
+    const station = await findStation(req.params.id);
+    const exceptionId = Number(req.params.exceptionId);
+    if (!Number.isInteger(exceptionId) || exceptionId <= 0) {
+      throw new HttpException(400, '유효한 exception id 를 숫자로 입력해주세요.');
+    }
+
+    const deletedCount = await StationHourException.destroy({ where: { id: exceptionId, stationId: station.id } });
+    if (deletedCount === 0) {
+      throw new HttpException(404, `${station.name} 의 운영 시간 예외 ${exceptionId}는 없습니다.`);
+    }
+    res.status(204).send();
   }),
 );
 
 /**
  * @swagger
- * /stations/{id}:
- *   get:
- *     summary: 역 아이디로 해당 역 정보 찾기
+ * /stations/{id}/closures:
+ *   post:
+ *     summary: 역 휴업 기간 등록
+ *     description: 관리자 권한필요, 공사 등으로 운영 시간과 관계없이 문을 닫는 기간, 기간 안에 예약이 있는 유저에게 알림
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: number
  *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 example: "승강장 보수 공사"
  *     responses:
- *       200:
- *         description: 역 위치와 해당 역에 있는 사물함 찾기 성공
+ *       201:
+ *         description: 등록 성공
  *         content:
  *           application/json:
  *             schema:
- *               properties:
- *                 id:
- *                   type: number
- *                 name:
- *                   type: string
- *                 latitude:
- *                   type: number
- *                   format: float
- *                 longitude:
- *                   type: number
- *                   format: float
- *                 temperature:
- *                   type: number
- *                   format: float
- *                 humidity:
- *                   type: number
- *                   format: float
- *                 lockers:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: number
- *                       startDateTime:
- *                         type: string
- *                         format: date-time
- *                       endDateTime:
- *                         type: string
- *                         format: date-time
- *                       status:
- *                         type: string
- *                         default: "unoccupied"
- *                       userId:
- *                         type: number
- *                       stationID:
- *                         type: number
- *
+ *               $ref: '#/components/schemas/StationClosure'
  */
-router.get(
-  '/:id',
+router.post(
+  '/:id/closures',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
   asyncHandler(async (req, res) => {
-    const stationId = Number(req.params.id);
-
-    if (!stationId) {
-      throw new HttpException(400, 'id 값을 입력해주세요.');
+    const station = await findStation(req.params.id);
+    const { startDateTime, endDateTime, reason } = req.body;
+    if (!startDateTime || !endDateTime || !reason) {
+      throw new HttpException(400, 'startDateTime, endDateTime, reason 값을 모두 입력해주세요.');
     }
-
-    if (!Number.isInteger(stationId) || stationId <= 0) {
-      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    if (typeof reason !== 'string') {
+      throw new HttpException(400, 'reason 은 문자로 입력해주세요.');
+    }
+    const start = new Date(startDateTime);
+    const end = new Date(endDateTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new HttpException(400, '유효한 날짜와 시간을 입력해주세요.');
+    }
+    if (end.getTime() <= start.getTime()) {
+      throw new HttpException(400, '휴업 종료 시간은 시작 시간 이후여야 합니다.');
     }
 
-    const station = await Station.findOne({
-      where: { id: stationId },
-      attributes: { exclude: ['updatedAt', 'createdAt'] },
+    const newClosure = await StationClosure.create({
+      stationId: station.id,
+      startDateTime: start,
+      endDateTime: end,
+      reason,
     });
 
-    if (!station) {
-      throw new HttpException(404, '해당하는 역은 없습니다.');
+    // 휴업 기간에 체크인하거나 반납해야 하는 예약은 이용할 수 없으므로 미리 알린다
+    const affectedReservations = await Reservation.findAll({
+      where: {
+        stationId: station.id,
+        status: ReservationStatus.RESERVED,
+        [Op.or]: [
+          { startDateTime: { [Op.gte]: start, [Op.lt]: end } },
+          { endDateTime: { [Op.gte]: start, [Op.lt]: end } },
+        ],
+      },
+    });
+    for (const reservation of affectedReservations) {
+      await notify(
+        reservation.userId,
+        `${station.name} 이 ${start.toLocaleString()} 부터 ${end.toLocaleString()} 까지 휴업합니다(${reason}). 예약 ${reservation.id}번을 확인해주세요.`,
+      );
     }
 
-    const weatherData = await weatherApi(station);
-    const lockers = await Locker.findAll({
-      where: { stationId },
-      attributes: { exclude: ['updatedAt', 'createdAt'] },
+    const savedClosure = await StationClosure.findOne({
+      where: { id: newClosure.id },
+      attributes: ['id', 'startDateTime', 'endDateTime', 'reason'],
     });
+    res.status(201).send(savedClosure);
+  }),
+);
 
-    const stationMetaData = {
-      station: station.dataValues,
-      lockers,
-      temperature: weatherData.main.temp,
-      humidity: weatherData.main.humidity,
-    };
-    res.status(200).send(stationMetaData);
+/**
+ * @swagger
+ * /stations/{id}/closures/{closureId}:
+ *   delete:
+ *     summary: 역 휴업 기간 삭제
+ *     description: 관리자 권한필요
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: path
+ *         name: closureId
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: 삭제 성공
+ */
+router.delete(
+  '/:id/closures/:closureId',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const station = await findStation(req.params.id);
+    const closureId = Number(req.params.closureId);
+    if (!Number.isInteger(closureId) || closureId <= 0) {
+      throw new HttpException(400, '유효한 closure id 를 숫자로 입력해주세요.');
+    }
+
+    const deletedCount = await StationClosure.destroy({ where: { id: closureId, stationId: station.id } });
+    if (deletedCount === 0) {
+      throw new HttpException(404, `${station.name} 의 휴업 기간 ${closureId}는 없습니다.`);
+    }
+    res.status(204).send();
   }),
 );
 
@@ -294,11 +1461,15 @@ router.delete(
     if (!station) {
       throw new HttpException(404, '없는 역이름 입니다.');
     }
+    const stationLockers = await Locker.findAll({ where: { stationId }, attributes: ['id'] });
     await sequelize.transaction(async () => {
       await Locker.destroy({ where: { stationId } });
       await Station.destroy({ where: { id: stationId } });
     });
 
+    for (const stationLocker of stationLockers) {
+      await lockerStatusStream.publishLockerStatus(stationLocker.id);
+    }
     res.status(204).send();
   }),
 );
@@ -395,6 +1566,9 @@ router.post(
       where: { stationId },
       attributes: { exclude: ['createdAt', 'updatedAt'] },
     });
+    for (const restoredLocker of restoredLockers) {
+      await lockerStatusStream.publishLockerStatus(restoredLocker.id);
+    }
     const restoredStationLockers = {
       stations: restoredStation,
       lockers: restoredLockers,
@@ -429,6 +1603,9 @@ router.post(
  *                 type: number
  *               longitude:
  *                 type: number
+ *               maxRentalHours:
+ *                 type: number
+ *                 description: 이 역에서 한 번에 대여할 수 있는 최대 시간
  *     responses:
  *       200:
  *         description: 수정 성공, 수정된 역 정보 제공
@@ -459,14 +1636,14 @@ router.patch(
   authorityConfirmation([UserAuthority.ADMIN]),
   asyncHandler(async (req, res) => {
     const stationId = Number(req.params.id);
-    const { name, latitude, longitude } = req.body;
+    const { name, latitude, longitude, maxRentalHours } = req.body;
     if (!stationId) {
       throw new HttpException(400, 'id 값을 입력해주세요.');
     }
     if (!Number.isInteger(stationId) || stationId <= 0) {
       throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
     }
-    if (!name && !latitude && !longitude) {
+    if (!name && !latitude && !longitude && !maxRentalHours) {
       throw new HttpException(400, '수정할 내용을 입력해주세요.');
     }
     const station = await Station.findByPk(stationId);
@@ -483,8 +1660,11 @@ router.patch(
     if (longitude && !Number(longitude)) {
       throw new HttpException('longitude 에 숫자를 입력해주세요.');
     }
+    if (maxRentalHours !== undefined && (!Number.isInteger(maxRentalHours) || maxRentalHours <= 0)) {
+      throw new HttpException(400, 'maxRentalHours 는 1 이상의 정수로 입력해주세요.');
+    }
 
-    const updateData = { name, latitude, longitude };
+    const updateData = { name, latitude, longitude, maxRentalHours };
     await Station.update(updateData, { where: { id: stationId } });
 
     const revisedPost = await Station.findByPk(stationId);
@@ -0,0 +1,394 @@
+const { Op } = require('sequelize');
+const { Locker, Rental, User, LockerTransfer } = require('../models');
+const sequelize = require('../config/database');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority, LockerStatus, RentalStatus, LockerTransferStatus } = require('../models/enums');
+const { asyncHandler, emailValidation, generateUnlockPin, rentalEligibilityValidation } = require('../functions');
+const { notify } = require('../services/notification');
+const { expiresHours } = require('../config/transfer');
+
+async function findTransfer(id) {
+  const transferId = Number(id);
+  if (!Number.isInteger(transferId) || transferId <= 0) {
+    throw new HttpException(400, '유효한 transfer id 를 숫자로 입력해주세요.');
+  }
+  const transfer = await LockerTransfer.findByPk(transferId);
+  if (!transfer) {
+    throw new HttpException(404, `양도 요청 ${transferId}는 없습니다.`);
+  }
+  return transfer;
+}
+
+async function sendTransfer(res, statusCode, transferId) {
+  const transfer = await LockerTransfer.findOne({
+    where: { id: transferId },
+    attributes: { exclude: ['updatedAt'] },
+  });
+  res.status(statusCode).send(transfer);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LockerTransfer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: number
+ *         lockerId:
+ *           type: number
+ *         rentalId:
+ *           type: number
+ *           description: 양도한 유저의 대여
+ *         newRentalId:
+ *           type: number
+ *           nullable: true
+ *           description: 수락 후 양도받은 유저에게 만들어진 대여
+ *         fromUserId:
+ *           type: number
+ *         toUserId:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /transfers:
+ *   post:
+ *     summary: 사용 중인 사물함을 다른 유저에게 양도 요청
+ *     description: 가입된 이메일의 유저에게 요청을 보내고, 받은 유저가 수락하면 사물함과 요금이 넘어감
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               rentalId:
+ *                 type: number
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: 양도 요청 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LockerTransfer'
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const { rentalId, email } = req.body;
+    const userId = req.user.id;
+
+    if (!Number.isInteger(rentalId) || rentalId <= 0) {
+      throw new HttpException(400, '유효한 rentalId 를 숫자로 입력해주세요.');
+    }
+    if (!email) {
+      throw new HttpException(400, '양도받을 유저의 email 을 입력해주세요.');
+    }
+    const isValidEmail = emailValidation(email);
+    if (!isValidEmail.validation) {
+      throw new HttpException(isValidEmail.statusCode, isValidEmail.message);
+    }
+
+    const rental = await Rental.findByPk(rentalId);
+    if (!rental || rental.userId !== userId) {
+      throw new HttpException(404, '해당 유저의 대여가 없습니다.');
+    }
+    if (rental.status !== RentalStatus.ACTIVE) {
+      throw new HttpException(422, '사용 중인 대여만 양도할 수 있습니다.');
+    }
+    const locker = await Locker.findByPk(rental.lockerId);
+    if (!locker || locker.status !== LockerStatus.OCCUPIED) {
+      throw new HttpException(422, '관리중인 사물함은 양도할 수 없습니다.');
+    }
+
+    const recipient = await User.findOne({ where: { email } });
+    if (!recipient) {
+      throw new HttpException(404, '가입되지 않은 이메일입니다.');
+    }
+    if (recipient.id === userId) {
+      throw new HttpException(422, '자기 자신에게는 양도할 수 없습니다.');
+    }
+
+    const pendingTransfer = await LockerTransfer.findOne({
+      where: {
+        rentalId,
+        status: LockerTransferStatus.PENDING,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+    });
+    if (pendingTransfer) {
+      throw new HttpException(409, '이미 진행 중인 양도 요청이 있습니다.');
+    }
+
+    const newTransfer = await LockerTransfer.create({
+      rentalId,
+      lockerId: rental.lockerId,
+      fromUserId: userId,
+      toUserId: recipient.id,
+      status: LockerTransferStatus.PENDING,
+      expiresAt: new Date(Date.now() + expiresHours * 60 * 60 * 1000),
+    });
+    await notify(
+      recipient.id,
+      `${req.user.email} 님이 사물함 ${rental.lockerId}번을 양도하려고 합니다. 마이페이지에서 수락해주세요.`,
+    );
+    await sendTransfer(res, 201, newTransfer.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /transfers/mine:
+ *   get:
+ *     summary: 로그인한 유저가 보내거나 받은 양도 요청 목록
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sent:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LockerTransfer'
+ *                 received:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LockerTransfer'
+ */
+router.get(
+  '/mine',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const options = {
+      attributes: { exclude: ['updatedAt'] },
+      order: [['createdAt', 'DESC']],
+    };
+
+    const sent = await LockerTransfer.findAll({ where: { fromUserId: userId }, ...options });
+    const received = await LockerTransfer.findAll({ where: { toUserId: userId }, ...options });
+    res.status(200).send({ sent, received });
+  }),
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/accept:
+ *   post:
+ *     summary: 양도 요청 수락
+ *     description: 양도한 유저의 대여는 transferred 로 종료되고, 같은 시작 시간으로 양도받은 유저의 대여가 만들어져 요금이 넘어감. 새 PIN 은 이 응답에서만 확인 가능
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 수락 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfer:
+ *                   $ref: '#/components/schemas/LockerTransfer'
+ *                 rental:
+ *                   type: object
+ *                 pin:
+ *                   type: string
+ *                   example: "042917"
+ */
+router.post(
+  '/:id/accept',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const transfer = await findTransfer(req.params.id);
+    if (transfer.toUserId !== userId) {
+      throw new HttpException(403, '해당 유저가 받은 양도 요청이 아닙니다.');
+    }
+    if (transfer.status !== LockerTransferStatus.PENDING) {
+      throw new HttpException(422, `수락할 수 없는 양도 요청입니다. 현재 상태: ${transfer.status}`);
+    }
+    if (transfer.expiresAt.getTime() < Date.now()) {
+      await LockerTransfer.update(
+        { status: LockerTransferStatus.EXPIRED },
+        { where: { id: transfer.id, status: LockerTransferStatus.PENDING } },
+      );
+      throw new HttpException(422, '양도 요청의 수락 기한이 지났습니다.');
+    }
+
+    const now = new Date();
+    const { pin, pinHash } = await generateUnlockPin();
+    const newRental = await sequelize.transaction(async () => {
+      // 같은 유저의 대여 요청을 순서대로 처리해서 동시에 요청해도 대여 제한을 넘지 않게 한다
+      await User.findOne({ where: { id: userId }, lock: true });
+      const eligibility = await rentalEligibilityValidation(userId);
+      if (!eligibility.validation) {
+        throw new HttpException(eligibility.statusCode, eligibility.message, eligibility.code);
+      }
+
+      await Locker.findOne({ where: { id: transfer.lockerId }, lock: true });
+      const rental = await Rental.findOne({ where: { id: transfer.rentalId }, lock: true });
+      if (rental.status !== RentalStatus.ACTIVE || rental.userId !== transfer.fromUserId) {
+        throw new HttpException(409, '양도하려던 대여가 이미 종료되었습니다.');
+      }
+
+      const [updatedCount] = await LockerTransfer.update(
+        { status: LockerTransferStatus.ACCEPTED, respondedAt: now },
+        { where: { id: transfer.id, status: LockerTransferStatus.PENDING } },
+      );
+      if (updatedCount === 0) {
+        throw new HttpException(409, '이미 처리된 양도 요청입니다.');
+      }
+
+      // 요금은 대여 시작 시간부터 계산되므로 새 대여도 같은 시작 시간으로 만들어 요금 전체를 넘긴다
+      await Rental.update({ endDateTime: now, status: RentalStatus.TRANSFERRED }, { where: { id: rental.id } });
+      const createdRental = await Rental.create({
+        userId,
+        lockerId: rental.lockerId,
+        stationId: rental.stationId,
+        startDateTime: rental.startDateTime,
+        expectedEndDateTime: rental.expectedEndDateTime,
+        expectedAmount: rental.expectedAmount,
+        isOverdue: rental.isOverdue,
+        lateFee: rental.lateFee,
+        escalatedAt: rental.escalatedAt,
+        status: RentalStatus.ACTIVE,
+        pinHash,
+      });
+      await LockerTransfer.update({ newRentalId: createdRental.id }, { where: { id: transfer.id } });
+
+      const [lockerCount] = await Locker.update(
+        { userId, pinFailedAttempts: 0, pinLockedUntil: null },
+        { where: { id: rental.lockerId, userId: transfer.fromUserId, status: LockerStatus.OCCUPIED } },
+      );
+      if (lockerCount === 0) {
+        throw new HttpException(409, '사물함이 관리중이라 양도할 수 없습니다.');
+      }
+      return createdRental;
+    });
+
+    await notify(transfer.fromUserId, `사물함 ${transfer.lockerId}번 양도가 수락되었습니다.`);
+
+    const acceptedTransfer = await LockerTransfer.findOne({
+      where: { id: transfer.id },
+      attributes: { exclude: ['updatedAt'] },
+    });
+    const rental = await Rental.findOne({
+      where: { id: newRental.id },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    res.status(200).send({ transfer: acceptedTransfer, rental, pin });
+  }),
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/decline:
+ *   post:
+ *     summary: 받은 양도 요청 거절
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 거절 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LockerTransfer'
+ */
+router.post(
+  '/:id/decline',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const transfer = await findTransfer(req.params.id);
+    if (transfer.toUserId !== req.user.id) {
+      throw new HttpException(403, '해당 유저가 받은 양도 요청이 아닙니다.');
+    }
+
+    const [updatedCount] = await LockerTransfer.update(
+      { status: LockerTransferStatus.DECLINED, respondedAt: new Date() },
+      { where: { id: transfer.id, status: LockerTransferStatus.PENDING } },
+    );
+    if (updatedCount === 0) {
+      throw new HttpException(422, `거절할 수 없는 양도 요청입니다. 현재 상태: ${transfer.status}`);
+    }
+    await notify(transfer.fromUserId, `사물함 ${transfer.lockerId}번 양도 요청이 거절되었습니다.`);
+    await sendTransfer(res, 200, transfer.id);
+  }),
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/cancel:
+ *   post:
+ *     summary: 보낸 양도 요청 취소
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 취소 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LockerTransfer'
+ */
+router.post(
+  '/:id/cancel',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const transfer = await findTransfer(req.params.id);
+    if (transfer.fromUserId !== req.user.id) {
+      throw new HttpException(403, '해당 유저가 보낸 양도 요청이 아닙니다.');
+    }
+
+    const [updatedCount] = await LockerTransfer.update(
+      { status: LockerTransferStatus.CANCELLED, respondedAt: new Date() },
+      { where: { id: transfer.id, status: LockerTransferStatus.PENDING } },
+    );
+    if (updatedCount === 0) {
+      throw new HttpException(422, `취소할 수 없는 양도 요청입니다. 현재 상태: ${transfer.status}`);
+    }
+    await sendTransfer(res, 200, transfer.id);
+  }),
+);
+
+module.exports = router;
@@ -1,47 +1,69 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
-const { User, Locker, Station } = require('../models');
+const { User, Locker, Station, Rental, LockerTransfer } = require('../models');
 const { asyncHandler } = require('../functions');
-const { UserAuthority } = require('../models/enums');
+const { UserAuthority, LockerTransferStatus } = require('../models/enums');
+const { revokeAccountSessions } = require('../services/session');
 
 /**
  * @swagger
  * /users/mine:
  *   get:
- *     summary: 로그인 중인 유저가 사물함 정보 조회
+ *     summary: 로그인 중인 유저의 사물함 대여 기록 조회
+ *     description: 사용 중인 대여와 반납이 끝난 대여를 최근 순서로 모두 조회
  *     responses:
  *       200:
  *         description: 조회 성공
  *         content:
  *           application/json:
  *             schema:
- *               properties:
- *                 id:
- *                   type: number
- *                 email:
- *                   type: string
- *                   format: email
- *                 authority:
- *                   type : string
- *                   enum: [user, admin]
- *                 locker:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: number
- *                       startDateTime:
- *                         type: string
- *                         format: date-time
- *                       statusTime:
- *                         type: string
- *                         default: "occupied"
- *                       stationId:
- *                         type: number
- *                       userId:
- *                         type: number
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   lockerId:
+ *                     type: number
+ *                   stationId:
+ *                     type: number
+ *                   stationName:
+ *                     type: string
+ *                   userId:
+ *                     type: number
+ *                   startDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                   expectedEndDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                     description: 반납 예정 시간
+ *                   endDateTime:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   expectedAmount:
+ *                     type: number
+ *                     description: 반납 예정 시간까지의 예상 요금
+ *                   amount:
+ *                     type: number
+ *                     nullable: true
+ *                   isOverdue:
+ *                     type: boolean
+ *                   lateFee:
+ *                     type: number
+ *                   status:
+ *                     type: string
+ *                     enum: [active, returned, cleared, transferred]
+ *                   transferredTo:
+ *                     type: string
+ *                     format: email
+ *                     description: 양도한 대여일 때 양도받은 유저의 이메일
+ *                   transferredFrom:
+ *                     type: string
+ *                     format: email
+ *                     description: 양도받은 대여일 때 양도한 유저의 이메일
  */
 router.get(
   '/mine',
@@ -64,25 +86,38 @@ router.get(
       throw new HttpException(404, '없는 유저 입니다.');
     }
 
-    const userLocker = await Locker.findAll({
+    const userRentals = await Rental.findAll({
       where: { userId },
-      attributes: ['id', 'startDateTime', 'status', 'stationId', 'userId'],
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+      order: [['startDateTime', 'DESC']],
     });
 
-    let userLockerInfo = [];
-    if (userLocker) {
-      for (let i = 0; i < userLocker.length; i++) {
-        let stationId = userLocker[i].dataValues.stationId;
-        const station = await Station.findOne({ where: { id: stationId } });
-        const stationName = station.dataValues.name;
-        const data = {
-          ...userLocker[i].dataValues,
-          stationName,
-        };
-        userLockerInfo.push(data);
+    let userRentalInfo = [];
+    for (const userRental of userRentals) {
+      const station = await Station.findOne({ where: { id: userRental.stationId }, paranoid: false });
+      const data = {
+        ...userRental.dataValues,
+        stationName: station ? station.name : null,
+      };
+
+      // 양도로 넘겨주거나 넘겨받은 대여는 상대방 이메일을 함께 보여준다
+      const sentTransfer = await LockerTransfer.findOne({
+        where: { rentalId: userRental.id, status: LockerTransferStatus.ACCEPTED },
+      });
+      if (sentTransfer) {
+        const toUser = await User.findOne({ where: { id: sentTransfer.toUserId }, paranoid: false });
+        data.transferredTo = toUser ? toUser.email : null;
       }
+      const receivedTransfer = await LockerTransfer.findOne({
+        where: { newRentalId: userRental.id, status: LockerTransferStatus.ACCEPTED },
+      });
+      if (receivedTransfer) {
+        const fromUser = await User.findOne({ where: { id: receivedTransfer.fromUserId }, paranoid: false });
+        data.transferredFrom = fromUser ? fromUser.email : null;
+      }
+      userRentalInfo.push(data);
     }
-    res.status(200).send(userLockerInfo);
+    res.status(200).send(userRentalInfo);
   }),
 );
 
@@ -112,6 +147,15 @@ router.get(
  *                 authority:
  *                   type : string
  *                   enum: [user, admin]
+ *                 isSuspended:
+ *                   type: boolean
+ *                 suspendedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 suspensionReason:
+ *                   type: string
+ *                   nullable: true
  *                 locker:
  *                   type: array
  *                   items:
@@ -129,6 +173,40 @@ router.get(
  *                         type: number
  *                       userId:
  *                         type: number
+ *                 rentals:
+ *                   type: array
+ *                   description: 사용 중인 대여와 반납이 끝난 대여 기록
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       lockerId:
+ *                         type: number
+ *                       stationId:
+ *                         type: number
+ *                       startDateTime:
+ *                         type: string
+ *                         format: date-time
+ *                       expectedEndDateTime:
+ *                         type: string
+ *                         format: date-time
+ *                       endDateTime:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       expectedAmount:
+ *                         type: number
+ *                       amount:
+ *                         type: number
+ *                         nullable: true
+ *                       isOverdue:
+ *                         type: boolean
+ *                       lateFee:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *                         enum: [active, returned, cleared, transferred]
  */
 router.get(
   '/:id',
@@ -145,7 +223,7 @@ router.get(
     }
     const user = await User.findOne({
       where: { id: userId },
-      attributes: ['id', 'email'],
+      attributes: ['id', 'email', 'isSuspended', 'suspendedAt', 'suspensionReason'],
     });
     if (!user) {
       throw new HttpException(404, '없는 유저 입니다.');
@@ -163,6 +241,13 @@ router.get(
       }
       user.dataValues.locker = userLockerInfo;
     }
+
+    const userRentals = await Rental.findAll({
+      where: { userId },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+      order: [['startDateTime', 'DESC']],
+    });
+    user.dataValues.rentals = userRentals;
     res.status(200).send(user);
   }),
 );
@@ -282,4 +367,172 @@ router.post(
     res.status(201).send(restoredUser);
   }),
 );
+
+/**
+ * @swagger
+ * /users/{id}/suspend:
+ *   patch:
+ *     summary: 유저 이용 정지
+ *     description: 관리자 권한필요, 정지된 유저는 사물함을 대여할 수 없음
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 정지 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *                 isSuspended:
+ *                   type: boolean
+ *                   example: true
+ *                 suspendedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 suspensionReason:
+ *                   type: string
+ */
+router.patch(
+  '/:id/suspend',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const userId = Number(req.params.id);
+    const { reason } = req.body;
+    if (!Number.isInteger(userId) || userId <= 0) {
+      throw new HttpException(400, '유효한 user id 를 숫자로 입력해주세요.');
+    }
+    if (!reason) {
+      throw new HttpException(400, '정지 사유(reason)를 입력해주세요.');
+    }
+
+    const user = await User.findOne({ where: { id: userId } });
+    if (!user) {
+      throw new HttpException(404, '없는 유저 입니다.');
+    }
+
+    await User.update(
+      { isSuspended: true, suspendedAt: new Date(), suspensionReason: reason },
+      { where: { id: userId } },
+    );
+    const suspendedUser = await User.findOne({
+      where: { id: userId },
+      attributes: ['id', 'email', 'isSuspended', 'suspendedAt', 'suspensionReason'],
+    });
+    res.status(200).send(suspendedUser);
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/unsuspend:
+ *   patch:
+ *     summary: 유저 이용 정지 해제
+ *     description: 관리자 권한필요
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 정지 해제 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *                 isSuspended:
+ *                   type: boolean
+ *                   example: false
+ */
+router.patch(
+  '/:id/unsuspend',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const userId = Number(req.params.id);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      throw new HttpException(400, '유효한 user id 를 숫자로 입력해주세요.');
+    }
+
+    const user = await User.findOne({ where: { id: userId } });
+    if (!user) {
+      throw new HttpException(404, '없는 유저 입니다.');
+    }
+
+    await User.update({ isSuspended: false, suspendedAt: null, suspensionReason: null }, { where: { id: userId } });
+    const unsuspendedUser = await User.findOne({
+      where: { id: userId },
+      attributes: ['id', 'email', 'isSuspended', 'suspendedAt', 'suspensionReason'],
+    });
+    res.status(200).send(unsuspendedUser);
+  }),
+);
+
+/**
+ * @swagger
+ * /users/{id}/force-logout:
+ *   patch:
+ *     summary: 유저 강제 로그아웃
+ *     description: 관리자 권한필요, 유저의 모든 세션을 폐기해서 발급된 access token 과 refresh token 을 바로 쓸 수 없게 함
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 강제 로그아웃 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 revokedCount:
+ *                   type: number
+ */
+router.patch(
+  '/:id/force-logout',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.ADMIN]),
+  asyncHandler(async (req, res) => {
+    const userId = Number(req.params.id);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      throw new HttpException(400, '유효한 user id 를 숫자로 입력해주세요.');
+    }
+
+    const user = await User.findOne({ where: { id: userId } });
+    if (!user) {
+      throw new HttpException(404, '없는 유저 입니다.');
+    }
+
+    const revokedCount = await revokeAccountSessions(user);
+    res.status(200).send({ id: user.id, revokedCount });
+  }),
+);
 module.exports = router;
@@ -0,0 +1,231 @@
+const { Op } = require('sequelize');
+const { Locker, Station, Waitlist } = require('../models');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorityConfirmation, HttpException } = require('../middleware');
+const { UserAuthority, LockerStatus, LockerSize, WaitlistStatus } = require('../models/enums');
+const { asyncHandler } = require('../functions');
+const { releaseHold } = require('../services/waitlist');
+
+/**
+ * @swagger
+ * /waitlists:
+ *   post:
+ *     summary: 빈 사물함이 없는 역의 대기열 등록
+ *     description: 사물함이 비면 먼저 등록한 순서대로 일정 시간 동안 사물함을 잡아주고 알림을 보냄, size 를 입력하지 않으면 모든 크기를 기다림
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               stationId:
+ *                 type: number
+ *               size:
+ *                 type: string
+ *                 enum: [small, medium, large, oversized]
+ *     responses:
+ *       201:
+ *         description: 대기열 등록 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 stationId:
+ *                   type: number
+ *                 userId:
+ *                   type: number
+ *                 size:
+ *                   type: string
+ *                   nullable: true
+ *                 status:
+ *                   type: string
+ *                   example: "waiting"
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const { stationId, size } = req.body;
+    const userId = req.user.id;
+
+    if (!Number.isInteger(stationId) || stationId <= 0) {
+      throw new HttpException(400, '유효한 stationId 를 숫자로 입력해주세요.');
+    }
+    if (size && !Object.values(LockerSize).includes(size)) {
+      throw new HttpException(400, `size 값은 다음과 같은 값만 입력해주세요. ${Object.values(LockerSize).join(', ')}`);
+    }
+
+    const station = await Station.findByPk(stationId);
+    if (!station) {
+      throw new HttpException(404, '해당하는 역은 등록되어 있지 않습니다.');
+    }
+
+    const existingWaitlist = await Waitlist.findOne({
+      where: { userId, stationId, status: [WaitlistStatus.WAITING, WaitlistStatus.HOLDING] },
+    });
+    if (existingWaitlist) {
+      throw new HttpException(409, '이미 이 역의 대기열에 등록되어 있습니다.');
+    }
+
+    const lockerWhere = { stationId, status: LockerStatus.UNOCCUPIED };
+    if (size) {
+      lockerWhere.size = size;
+    }
+    const freeLocker = await Locker.findOne({ where: lockerWhere });
+    if (freeLocker) {
+      throw new HttpException(422, '지금 바로 대여할 수 있는 사물함이 있습니다.');
+    }
+
+    const newWaitlist = await Waitlist.create({
+      userId,
+      stationId,
+      size: size || null,
+      status: WaitlistStatus.WAITING,
+    });
+    res.status(201).send(newWaitlist);
+  }),
+);
+
+/**
+ * @swagger
+ * /waitlists/mine:
+ *   get:
+ *     summary: 로그인한 유저의 대기 중인 대기열 조회
+ *     description: 대기 중이면 몇 번째 순서인지, 사물함을 잡아둔 상태면 사물함 id 와 잡아두는 만료 시간을 함께 제공
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   stationId:
+ *                     type: number
+ *                   size:
+ *                     type: string
+ *                     nullable: true
+ *                   status:
+ *                     type: string
+ *                     enum: [waiting, holding]
+ *                   lockerId:
+ *                     type: number
+ *                     nullable: true
+ *                   holdExpiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   position:
+ *                     type: number
+ *                     nullable: true
+ */
+router.get(
+  '/mine',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const waitlists = await Waitlist.findAll({
+      where: { userId, status: [WaitlistStatus.WAITING, WaitlistStatus.HOLDING] },
+      attributes: { exclude: ['updatedAt'] },
+      order: [['createdAt', 'ASC']],
+    });
+
+    let waitlistInfo = [];
+    for (const waitlist of waitlists) {
+      let position = null;
+      if (waitlist.status === WaitlistStatus.WAITING) {
+        // 크기를 정한 대기자는 같은 크기나 크기 상관없는 앞 순번만 먼저 사물함을 받는다
+        const aheadWhere = {
+          stationId: waitlist.stationId,
+          status: WaitlistStatus.WAITING,
+          createdAt: { [Op.lt]: waitlist.createdAt },
+        };
+        if (waitlist.size) {
+          aheadWhere[Op.or] = [{ size: null }, { size: waitlist.size }];
+        }
+        const aheadCount = await Waitlist.count({ where: aheadWhere });
+        position = aheadCount + 1;
+      }
+      waitlistInfo.push({ ...waitlist.dataValues, position });
+    }
+    res.status(200).send(waitlistInfo);
+  }),
+);
+
+/**
+ * @swagger
+ * /waitlists/{id}/cancel:
+ *   patch:
+ *     summary: 대기열 취소
+ *     description: 잡아둔 사물함이 있으면 다음 대기자에게 넘김
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: number
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 취소 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: number
+ *                 status:
+ *                   type: string
+ *                   example: "cancelled"
+ */
+router.patch(
+  '/:id/cancel',
+  authenticateToken,
+  authorityConfirmation([UserAuthority.USER]),
+  asyncHandler(async (req, res) => {
+    const waitlistId = Number(req.params.id);
+    const userId = req.user.id;
+
+    if (!Number.isInteger(waitlistId) || waitlistId <= 0) {
+      throw new HttpException(400, '유효한 waitlist id 를 숫자로 입력해주세요.');
+    }
+
+    const waitlist = await Waitlist.findByPk(waitlistId);
+    if (!waitlist) {
+      throw new HttpException(404, `대기열 ${waitlistId}는 없습니다.`);
+    }
+    if (waitlist.userId !== userId) {
+      throw new HttpException(403, '해당 유저의 대기열이 아닙니다.');
+    }
+
+    if (waitlist.status === WaitlistStatus.HOLDING) {
+      await releaseHold(waitlistId, WaitlistStatus.CANCELLED);
+    } else if (waitlist.status === WaitlistStatus.WAITING) {
+      await Waitlist.update(
+        { status: WaitlistStatus.CANCELLED },
+        { where: { id: waitlistId, status: WaitlistStatus.WAITING } },
+      );
+    } else {
+      throw new HttpException(422, `취소할 수 없는 대기열입니다. 현재 상태: ${waitlist.status}`);
+    }
+
+    const cancelledWaitlist = await Waitlist.findOne({
+      where: { id: waitlistId },
+      attributes: { exclude: ['createdAt', 'updatedAt'] },
+    });
+    res.status(200).send(cancelledWaitlist);
+  }),
+);
+
+module.exports = router;
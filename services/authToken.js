@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { BlackList, RefreshToken } = require('../models');
+const { UserAuthority } = require('../models/enums');
+const { accessTokenExpiresMinutes, refreshTokenExpiresDays } = require('../config/auth');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// User 와 Admin 은 테이블이 달라서 authority 로 세션과 refresh token 의 주인 컬럼을 정한다
+function accountWhere(account) {
+  return account.authority === UserAuthority.ADMIN ? { adminId: account.id } : { userId: account.id };
+}
+
+function refreshTokenExpiresAt(from = new Date()) {
+  return new Date(from.getTime() + refreshTokenExpiresDays * 24 * 60 * 60 * 1000);
+}
+
+// sid 는 로그인한 세션의 id, authenticateToken 이 폐기된 세션의 token 을 거절하는 데 쓴다
+function issueAccessToken(account, sessionId) {
+  return jwt.sign(
+    { id: account.id, email: account.email, authority: account.authority, sid: sessionId },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: `${accessTokenExpiresMinutes}m`, jwtid: crypto.randomUUID() },
+  );
+}
+
+async function issueRefreshToken(account, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    ...accountWhere(account),
+    sessionId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiresAt(),
+  });
+  return refreshToken;
+}
+
+async function issueTokens(account, sessionId) {
+  const refreshToken = await issueRefreshToken(account, sessionId);
+  return { accessToken: issueAccessToken(account, sessionId), refreshToken };
+}
+
+async function findRefreshToken(refreshToken, options = {}) {
+  return RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) }, ...options });
+}
+
+// 만료 시간까지 BlackList 에 hash 를 남겨서 authenticateToken 이 거절하게 한다
+async function revokeAccessToken(accessToken, expiresAtSeconds) {
+  await BlackList.create({
+    accessToken: hashToken(accessToken),
+    expiryDate: new Date(expiresAtSeconds * 1000),
+  });
+}
+
+async function isAccessTokenRevoked(accessToken) {
+  const revoked = await BlackList.findOne({
+    where: { accessToken: hashToken(accessToken), expiryDate: { [Op.gt]: new Date() } },
+  });
+  return revoked !== null;
+}
+
+module.exports = {
+  hashToken,
+  accountWhere,
+  refreshTokenExpiresAt,
+  issueTokens,
+  findRefreshToken,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+};
@@ -0,0 +1,94 @@
+const { Locker, LockerBank, LockerCommand } = require('../../models');
+const {
+  LockerBankStatus,
+  DoorStatus,
+  LockerCommandStatus,
+  LockerCommandType,
+  ControllerEventType,
+} = require('../../models/enums');
+
+// 같은 프로세스 안에서 명령을 바로 받는 드라이버(시뮬레이터 등), lockerBankId 로 찾는다.
+// 드라이버가 없는 사물함 뱅크는 GET /controllers/{id}/commands 로 대기 중인 명령을 가져간다
+const drivers = new Map();
+
+function registerDriver(lockerBankId, driver) {
+  drivers.set(lockerBankId, driver);
+}
+
+function unregisterDriver(lockerBankId) {
+  drivers.delete(lockerBankId);
+}
+
+async function registerLockerBank(stationId, name) {
+  const lockerBank = await LockerBank.findOne({ where: { stationId } });
+  const now = new Date();
+  if (lockerBank) {
+    await LockerBank.update(
+      { name, status: LockerBankStatus.ONLINE, lastHeartbeatAt: now },
+      { where: { id: lockerBank.id } },
+    );
+    return LockerBank.findByPk(lockerBank.id);
+  }
+  return LockerBank.create({ stationId, name, status: LockerBankStatus.ONLINE, lastHeartbeatAt: now });
+}
+
+async function handleEvent(lockerBank, { type, lockerId }) {
+  await LockerBank.update(
+    { status: LockerBankStatus.ONLINE, lastHeartbeatAt: new Date() },
+    { where: { id: lockerBank.id } },
+  );
+
+  if (type === ControllerEventType.DOOR_OPENED || type === ControllerEventType.DOOR_CLOSED) {
+    const doorStatus = type === ControllerEventType.DOOR_OPENED ? DoorStatus.OPEN : DoorStatus.CLOSED;
+    await Locker.update({ doorStatus }, { where: { id: lockerId, stationId: lockerBank.stationId } });
+  }
+}
+
+async function acknowledgeCommand(lockerCommandId) {
+  await LockerCommand.update(
+    { status: LockerCommandStatus.ACKNOWLEDGED, acknowledgedAt: new Date() },
+    { where: { id: lockerCommandId, status: LockerCommandStatus.PENDING } },
+  );
+}
+
+// 대여 흐름을 막지 않도록 사물함 뱅크가 없거나 전달에 실패해도 에러를 던지지 않는다
+async function sendUnlockCommand(locker, reason) {
+  try {
+    const lockerBank = await LockerBank.findOne({ where: { stationId: locker.stationId } });
+    if (!lockerBank) {
+      return null;
+    }
+
+    const lockerCommand = await LockerCommand.create({
+      lockerBankId: lockerBank.id,
+      lockerId: locker.id,
+      command: LockerCommandType.UNLOCK,
+      reason,
+      status: LockerCommandStatus.PENDING,
+    });
+
+    const driver = drivers.get(lockerBank.id);
+    if (driver) {
+      try {
+        await driver.deliver(lockerCommand);
+        await acknowledgeCommand(lockerCommand.id);
+      } catch (err) {
+        console.error('사물함 컨트롤러가 명령을 처리하지 못했습니다.', err);
+        await LockerCommand.update({ status: LockerCommandStatus.FAILED }, { where: { id: lockerCommand.id } });
+      }
+    }
+    return lockerCommand;
+  } catch (err) {
+    console.error('사물함 컨트롤러에 명령을 보내지 못했습니다.', err);
+    return null;
+  }
+}
+
+module.exports = {
+  registerDriver,
+  unregisterDriver,
+  registerLockerBank,
+  handleEvent,
+  acknowledgeCommand,
+  sendUnlockCommand,
+};
@@ -0,0 +1,45 @@
+const { Station } = require('../../models');
+const { ControllerEventType } = require('../../models/enums');
+const lockerController = require('./index');
+const { heartbeatIntervalSeconds, simulatorDoorOpenSeconds } = require('../../config/lockerController');
+
+// 실제 장비 없이 대여 흐름을 확인할 수 있도록, 명령을 받으면 문이 열렸다 닫히는 이벤트를 보내는 가상 사물함 뱅크
+function createLockerBankSimulator(lockerBank) {
+  const emit = (event) => {
+    lockerController.handleEvent(lockerBank, event).catch((err) => console.error(err));
+  };
+
+  const heartbeat = setInterval(() => emit({ type: ControllerEventType.HEARTBEAT }), heartbeatIntervalSeconds * 1000);
+  heartbeat.unref();
+
+  return {
+    async deliver(lockerCommand) {
+      const { lockerId } = lockerCommand;
+      console.log(
+        `[simulator] ${lockerBank.name}: 사물함 ${lockerId} ${lockerCommand.command} (${lockerCommand.reason})`,
+      );
+      emit({ type: ControllerEventType.DOOR_OPENED, lockerId });
+      setTimeout(
+        () => emit({ type: ControllerEventType.DOOR_CLOSED, lockerId }),
+        simulatorDoorOpenSeconds * 1000,
+      ).unref();
+    },
+    stop() {
+      clearInterval(heartbeat);
+    },
+  };
+}
+
+async function startLockerSimulators() {
+  const stations = await Station.findAll();
+  for (const station of stations) {
+    const lockerBank = await lockerController.registerLockerBank(station.id, `${station.name} simulator`);
+    lockerController.registerDriver(lockerBank.id, createLockerBankSimulator(lockerBank));
+  }
+  console.log(`사물함 시뮬레이터 ${stations.length}개를 시작합니다.`);
+}
+
+module.exports = {
+  createLockerBankSimulator,
+  startLockerSimulators,
+};
@@ -0,0 +1,40 @@
+const { EventEmitter } = require('events');
+const { Locker } = require('../models');
+
+// 사물함 상태 변경을 역 단위로 구독자(GET /stations/{id}/lockers/stream)에게 전달
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function stationEventName(stationId) {
+  return `station:${stationId}`;
+}
+
+function subscribe(stationId, listener) {
+  const eventName = stationEventName(stationId);
+  emitter.on(eventName, listener);
+  return () => emitter.off(eventName, listener);
+}
+
+// 상태를 바꾼 트랜잭션이 끝난 뒤에 호출, 알림 실패가 대여/반납 흐름을 막지 않도록 에러는 던지지 않는다
+async function publishLockerStatus(lockerId) {
+  try {
+    const locker = await Locker.findByPk(lockerId, { paranoid: false });
+    if (!locker) {
+      return;
+    }
+    emitter.emit(stationEventName(locker.stationId), {
+      lockerId: locker.id,
+      stationId: locker.stationId,
+      status: locker.status,
+      size: locker.size,
+      deleted: Boolean(locker.deletedAt),
+    });
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+module.exports = {
+  subscribe,
+  publishLockerStatus,
+};
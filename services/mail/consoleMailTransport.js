@@ -0,0 +1,17 @@
+const { consoleShowsTokens } = require('../../config/mail');
+
+// 비밀번호 재설정 링크 같은 ?token=... 값을 *** 로 바꾼다
+function maskTokens(text) {
+  return text.replace(/([?&]token=)[^&\s]+/g, '$1***');
+}
+
+// 로컬 개발용 transport. 메일을 보내지 않고 받는 사람, 제목, 본문을 터미널에 출력한다
+const consoleMailTransport = {
+  name: 'console',
+  async send({ from, to, subject, text }) {
+    const body = consoleShowsTokens ? text : maskTokens(text);
+    console.log(`[mail] from: ${from}\n[mail] to: ${to}\n[mail] subject: ${subject}\n${body}`);
+  },
+};
+
+module.exports = consoleMailTransport;
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const buildMimeMessage = require('./message');
+const { fileDirectory } = require('../../config/mail');
+
+// 로컬 개발, 테스트용 transport. 메일을 보내지 않고 fileDirectory 에 .eml 파일로 저장해서 메일 클라이언트로 열어볼 수 있다
+const fileMailTransport = {
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(fileDirectory, { recursive: true });
+    const filePath = path.join(fileDirectory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(filePath, buildMimeMessage(message));
+    console.log(`[mail] ${message.to} 에게 보낼 메일을 ${filePath} 에 저장했습니다.`);
+  },
+};
+
+module.exports = fileMailTransport;
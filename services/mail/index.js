@@ -0,0 +1,37 @@
+const consoleMailTransport = require('./consoleMailTransport');
+const fileMailTransport = require('./fileMailTransport');
+const smtpMailTransport = require('./smtpMailTransport');
+const { transport, from } = require('../../config/mail');
+
+// transport 는 name 과 send({ from, to, subject, text }) 를 가지고, 보내지 못하면 에러를 던진다
+const transports = {
+  [consoleMailTransport.name]: consoleMailTransport,
+  [fileMailTransport.name]: fileMailTransport,
+  [smtpMailTransport.name]: smtpMailTransport,
+};
+
+function registerMailTransport(mailTransport) {
+  transports[mailTransport.name] = mailTransport;
+}
+
+function getMailTransport() {
+  const mailTransport = transports[transport];
+  if (!mailTransport) {
+    throw new Error(`등록되지 않은 메일 transport 입니다: ${transport}`);
+  }
+  return mailTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  // 줄바꿈이 들어간 주소로 메일 헤더를 더 끼워 넣지 못하게 막는다
+  if (/[\r\n]/.test(to)) {
+    throw new Error('메일 주소에 줄바꿈이 있습니다.');
+  }
+  await getMailTransport().send({ from, to, subject, text });
+}
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail,
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+const BASE64_LINE_LENGTH = 76;
+
+// 한글 제목은 RFC 2047 encoded-word 로 바꾼다
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  const encoded = Buffer.from(text).toString('base64');
+  const lines = [];
+  for (let i = 0; i < encoded.length; i += BASE64_LINE_LENGTH) {
+    lines.push(encoded.slice(i, i + BASE64_LINE_LENGTH));
+  }
+  return lines;
+}
+
+// .eml 파일로 저장할 수 있는 text/plain 메일, 본문은 base64 로 인코딩한다
+function buildMimeMessage({ from, to, subject, text, date = new Date() }) {
+  const domain = from.split('@')[1] || 'localhost';
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...base64Lines(text),
+  ].join('\r\n');
+}
+
+module.exports = buildMimeMessage;
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+const { smtp } = require('../../config/mail');
+
+let transporter = null;
+
+// SMTP 연결, STARTTLS, 인증, 인코딩은 nodemailer 에 맡기고 transporter 는 처음 보낼 때 한 번 만든다
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      // true 면 처음부터 TLS, false 면 서버가 지원할 때 STARTTLS 로 전환
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+      connectionTimeout: smtp.timeoutMs,
+      greetingTimeout: smtp.timeoutMs,
+      socketTimeout: smtp.timeoutMs,
+    });
+  }
+  return transporter;
+}
+
+const smtpMailTransport = {
+  name: 'smtp',
+  async send({ from, to, subject, text }) {
+    await getTransporter().sendMail({ from, to, subject, text });
+  },
+};
+
+module.exports = smtpMailTransport;
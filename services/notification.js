@@ -0,0 +1,10 @@
+const { Notification } = require('../models');
+
+// 유저에게 보여줄 알림을 저장, my-page 에서 GET /notifications/mine 으로 확인
+async function notify(userId, message) {
+  return Notification.create({ userId, message });
+}
+
+module.exports = {
+  notify,
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Admin, PasswordResetToken } = require('../models');
+const { hashToken, accountWhere } = require('./authToken');
+const { sendMail } = require('./mail');
+const { passwordResetTokenExpiresMinutes, passwordResetUrl } = require('../config/auth');
+
+// 로그인과 같이 User 를 먼저 찾고 없으면 Admin 을 찾는다
+async function findAccountByEmail(email) {
+  const user = await User.findOne({ where: { email } });
+  return user || (await Admin.findOne({ where: { email } }));
+}
+
+// 계정이 없으면 아무것도 하지 않는다, 새로 발급하면 아직 쓰지 않은 이전 token 은 지운다
+async function requestPasswordReset(email) {
+  const account = await findAccountByEmail(email);
+  if (!account) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await PasswordResetToken.destroy({ where: { ...accountWhere(account), usedAt: null } });
+  await PasswordResetToken.create({
+    ...accountWhere(account),
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + passwordResetTokenExpiresMinutes * 60 * 1000),
+  });
+
+  await sendMail({
+    to: account.email,
+    subject: '[지하철 사물함] 비밀번호 재설정 안내',
+    text: [
+      '비밀번호 재설정을 요청하셨습니다.',
+      `아래 링크에서 ${passwordResetTokenExpiresMinutes}분 안에 새 비밀번호를 설정해주세요. 링크는 한 번만 쓸 수 있습니다.`,
+      '',
+      `${passwordResetUrl}?token=${encodeURIComponent(token)}`,
+      '',
+      '요청하지 않으셨다면 이 메일을 무시해주세요.',
+    ].join('\n'),
+  });
+}
+
+// 쓸 수 있는 token 이면 token 의 계정을 돌려주고, 없거나 이미 썼거나 만료됐으면 null
+async function usePasswordResetToken(token) {
+  const resetToken = await PasswordResetToken.findOne({
+    where: { tokenHash: hashToken(token), usedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    lock: true,
+  });
+  if (!resetToken) {
+    return null;
+  }
+
+  const account = resetToken.adminId
+    ? await Admin.findByPk(resetToken.adminId)
+    : await User.findByPk(resetToken.userId);
+  if (!account) {
+    return null;
+  }
+  await PasswordResetToken.update({ usedAt: new Date() }, { where: { id: resetToken.id } });
+  return account;
+}
+
+module.exports = {
+  requestPasswordReset,
+  usePasswordResetToken,
+};
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// 로컬 개발, 테스트용 결제 provider. 실제 결제 없이 승인하며 simulateFailure 로 결제 실패를 재현할 수 있다
+const fakePaymentProvider = {
+  name: 'fake',
+  async charge({ amount, paymentDetails }) {
+    if (paymentDetails && paymentDetails.simulateFailure) {
+      return { success: false, message: '결제가 거절되었습니다. (fake provider)' };
+    }
+    return { success: true, transactionId: `fake-${crypto.randomUUID()}`, amount };
+  },
+};
+
+module.exports = fakePaymentProvider;
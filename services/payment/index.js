@@ -0,0 +1,25 @@
+const fakePaymentProvider = require('./fakePaymentProvider');
+
+// provider 는 name 과 charge({ amount, userId, rentalId, paymentDetails }) 를 가지고,
+// charge 는 { success, transactionId, message } 를 돌려준다
+const providers = {
+  [fakePaymentProvider.name]: fakePaymentProvider,
+};
+
+function registerPaymentProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+function getPaymentProvider() {
+  const providerName = process.env.PAYMENT_PROVIDER || fakePaymentProvider.name;
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`등록되지 않은 결제 provider 입니다: ${providerName}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+};
@@ -0,0 +1,98 @@
+const { Locker, Tariff } = require('../models');
+const { LockerSize } = require('../models/enums');
+const { defaultTariff } = require('../config/pricing');
+const { lateFeePerHour, overdueManagementHours } = require('../config/rental');
+const { stationOpenTime } = require('./stationHours');
+
+const ONE_HOUR = 60 * 60 * 1000;
+const HOURS_PER_DAY = 24;
+
+async function findTariff(stationId, size) {
+  const tariff = await Tariff.findOne({
+    where: { stationId, size: size || LockerSize.MEDIUM },
+  });
+  if (!tariff) {
+    return { ...defaultTariff };
+  }
+  const { baseHours, baseFee, hourlyRate, dailyCap } = tariff;
+  return { baseHours, baseFee, hourlyRate, dailyCap };
+}
+
+// 첫 날은 기본 요금 + 기본 시간 이후의 시간당 요금, 그 다음 날부터는 시간당 요금으로 계산하고 하루 요금은 dailyCap 을 넘지 않는다
+function calculateCharge(tariff, startDateTime, endDateTime) {
+  const usedTime = new Date(endDateTime).getTime() - new Date(startDateTime).getTime();
+  const hours = Math.max(1, Math.ceil(usedTime / ONE_HOUR));
+
+  let extraHours = 0;
+  let capDiscount = 0;
+  for (let dayStart = 0; dayStart < hours; dayStart += HOURS_PER_DAY) {
+    const dayHours = Math.min(HOURS_PER_DAY, hours - dayStart);
+    const isFirstDay = dayStart === 0;
+    const dayExtraHours = isFirstDay ? Math.max(0, dayHours - tariff.baseHours) : dayHours;
+    const dayFee = (isFirstDay ? tariff.baseFee : 0) + dayExtraHours * tariff.hourlyRate;
+
+    extraHours += dayExtraHours;
+    capDiscount += Math.max(0, dayFee - tariff.dailyCap);
+  }
+
+  const items = [
+    { item: 'base', description: `기본 요금 (${tariff.baseHours}시간)`, amount: tariff.baseFee },
+    {
+      item: 'hourly',
+      description: `추가 요금 (${extraHours}시간 x ${tariff.hourlyRate}원)`,
+      amount: extraHours * tariff.hourlyRate,
+    },
+  ];
+  if (capDiscount > 0) {
+    items.push({ item: 'dailyCap', description: `일일 최대 요금 ${tariff.dailyCap}원 적용`, amount: -capDiscount });
+  }
+
+  const total = items.reduce((sum, item) => sum + item.amount, 0);
+  return {
+    startDateTime: new Date(startDateTime),
+    endDateTime: new Date(endDateTime),
+    hours,
+    tariff,
+    items,
+    total,
+  };
+}
+
+// 반납 예정 시간이 지난 뒤 역이 문을 열어서 반납할 수 있었던 시간만 연체 시간으로 센다
+async function calculateOverdueTime(rental, endDateTime) {
+  if (!rental.expectedEndDateTime) {
+    return 0;
+  }
+  return stationOpenTime(rental.stationId, rental.expectedEndDateTime, endDateTime);
+}
+
+// 연체 시간을 시간 단위로 올림해서 연체료 계산,
+// 연체 시간이 overdueManagementHours 가 되어 사물함이 관리중으로 바뀐 뒤로는 연체료가 늘지 않는다
+function calculateLateFee(overdueTime) {
+  const lateFeeTime = Math.min(overdueTime, overdueManagementHours * ONE_HOUR);
+  if (lateFeeTime <= 0) {
+    return 0;
+  }
+  return Math.ceil(lateFeeTime / ONE_HOUR) * lateFeePerHour;
+}
+
+async function calculateRentalCharge(rental, endDateTime) {
+  const locker = await Locker.findByPk(rental.lockerId, { paranoid: false });
+  const tariff = await findTariff(rental.stationId, locker && locker.size);
+  const charge = calculateCharge(tariff, rental.startDateTime, endDateTime);
+
+  const lateFee = calculateLateFee(await calculateOverdueTime(rental, endDateTime));
+  if (lateFee > 0) {
+    charge.items.push({ item: 'lateFee', description: `연체료 (시간당 ${lateFeePerHour}원)`, amount: lateFee });
+    charge.total += lateFee;
+  }
+  return charge;
+}
+
+module.exports = {
+  findTariff,
+  calculateCharge,
+  calculateOverdueTime,
+  calculateLateFee,
+  calculateRentalCharge,
+};
@@ -0,0 +1,78 @@
+const { Op } = require('sequelize');
+const { Session, RefreshToken } = require('../models');
+const { accountWhere, refreshTokenExpiresAt } = require('./authToken');
+
+// 요청마다 lastUsedAt 을 쓰지 않도록 이 간격보다 오래됐을 때만 갱신한다
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+const USER_AGENT_MAX_LENGTH = 512;
+
+async function createSession(account, req) {
+  const userAgent = req.get('user-agent');
+  const now = new Date();
+  return Session.create({
+    ...accountWhere(account),
+    userAgent: userAgent ? userAgent.slice(0, USER_AGENT_MAX_LENGTH) : null,
+    ipAddress: req.ip || null,
+    lastUsedAt: now,
+    expiresAt: refreshTokenExpiresAt(now),
+  });
+}
+
+function activeSessionWhere() {
+  return { revokedAt: null, expiresAt: { [Op.gt]: new Date() } };
+}
+
+async function findActiveSession(sessionId, options = {}) {
+  return Session.findOne({ where: { id: sessionId, ...activeSessionWhere() }, ...options });
+}
+
+async function findAccountSessions(account) {
+  return Session.findAll({
+    where: { ...accountWhere(account), ...activeSessionWhere() },
+    attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt'],
+    order: [['lastUsedAt', 'DESC']],
+  });
+}
+
+async function touchSession(session) {
+  const now = new Date();
+  if (now.getTime() - session.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL) {
+    return;
+  }
+  await Session.update({ lastUsedAt: now }, { where: { id: session.id } });
+}
+
+// 세션을 폐기하면 그 세션의 refresh token 도 함께 폐기해서 재발급도 막는다
+async function revokeSessions(where) {
+  const sessions = await Session.findAll({ where: { ...where, revokedAt: null }, attributes: ['id'] });
+  const sessionIds = sessions.map((session) => session.id);
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+  const now = new Date();
+  await Session.update({ revokedAt: now }, { where: { id: { [Op.in]: sessionIds } } });
+  await RefreshToken.update({ revokedAt: now }, { where: { sessionId: { [Op.in]: sessionIds }, revokedAt: null } });
+  return sessionIds.length;
+}
+
+async function revokeSession(sessionId) {
+  return revokeSessions({ id: sessionId });
+}
+
+// exceptSessionId 를 주면 그 세션만 남기고 계정의 모든 세션을 폐기한다
+async function revokeAccountSessions(account, exceptSessionId) {
+  const where = accountWhere(account);
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+  return revokeSessions(where);
+}
+
+module.exports = {
+  createSession,
+  findActiveSession,
+  findAccountSessions,
+  touchSession,
+  revokeSession,
+  revokeAccountSessions,
+};
@@ -0,0 +1,63 @@
+const { fn, col } = require('sequelize');
+const { Locker } = require('../models');
+const { LockerStatus, LockerSize } = require('../models/enums');
+
+// 응답에서 사용하는 상태별 키, under management 처럼 공백이 있는 값을 camelCase 로 바꾼다
+const STATUS_KEYS = {
+  [LockerStatus.UNOCCUPIED]: 'unoccupied',
+  [LockerStatus.OCCUPIED]: 'occupied',
+  [LockerStatus.UNDER_MANAGEMENT]: 'underManagement',
+  [LockerStatus.RESERVED]: 'reserved',
+  [LockerStatus.HELD]: 'held',
+};
+
+function emptyCounts() {
+  const counts = { total: 0 };
+  for (const key of Object.values(STATUS_KEYS)) {
+    counts[key] = 0;
+  }
+  return counts;
+}
+
+function emptySummary() {
+  const summary = { ...emptyCounts(), sizes: {} };
+  for (const size of Object.values(LockerSize)) {
+    summary.sizes[size] = emptyCounts();
+  }
+  return summary;
+}
+
+// 역, 크기, 상태별 사물함 수를 한 번의 GROUP BY 쿼리로 세서 stationId 를 key 로 하는 Map 으로 돌려준다
+async function countLockersByStation(where = {}) {
+  const rows = await Locker.findAll({
+    where,
+    attributes: ['stationId', 'size', 'status', [fn('COUNT', col('id')), 'count']],
+    group: ['stationId', 'size', 'status'],
+    raw: true,
+  });
+
+  const summaries = new Map();
+  for (const row of rows) {
+    if (!summaries.has(row.stationId)) {
+      summaries.set(row.stationId, emptySummary());
+    }
+    const summary = summaries.get(row.stationId);
+    const statusKey = STATUS_KEYS[row.status];
+    const count = Number(row.count);
+
+    summary.total += count;
+    summary[statusKey] += count;
+    summary.sizes[row.size].total += count;
+    summary.sizes[row.size][statusKey] += count;
+  }
+  return summaries;
+}
+
+function stationAvailability(summaries, stationId) {
+  return summaries.get(stationId) || emptySummary();
+}
+
+module.exports = {
+  countLockersByStation,
+  stationAvailability,
+};
@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+const { Station } = require('../models');
+
+const CSV_COLUMNS = ['name', 'latitude', 'longitude'];
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'latitude',
+  'longitude',
+  'total',
+  'unoccupied',
+  'occupied',
+  'underManagement',
+  'reserved',
+  'held',
+];
+
+// 따옴표 안의 쉼표, 줄바꿈, "" 이스케이프를 처리해서 CSV 를 레코드 배열로 나눈다
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+// 첫 줄은 name, latitude, longitude 헤더, row 는 헤더를 1 로 센 CSV 레코드 번호
+function parseStationCsv(text) {
+  const records = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+  if (records.length === 0) {
+    return { validation: false, message: 'CSV 가 비어 있습니다.' };
+  }
+
+  const header = records[0].map((column) => column.trim());
+  const missingColumns = CSV_COLUMNS.filter((column) => !header.includes(column));
+  if (missingColumns.length > 0) {
+    return { validation: false, message: `CSV 헤더에 ${missingColumns.join(', ')} 컬럼이 없습니다.` };
+  }
+
+  const rows = [];
+  records.slice(1).forEach((record, index) => {
+    if (record.length === 1 && record[0].trim() === '') {
+      return;
+    }
+    const value = (column) => (record[header.indexOf(column)] || '').trim();
+    rows.push({
+      row: index + 2,
+      name: value('name'),
+      latitude: value('latitude') === '' ? NaN : Number(value('latitude')),
+      longitude: value('longitude') === '' ? NaN : Number(value('longitude')),
+    });
+  });
+  return { validation: true, rows };
+}
+
+// Point geometry 의 Feature 만 받고, 역명은 properties.name, row 는 1 부터 센 feature 번호
+function parseStationGeoJson(body) {
+  if (!body || body.type !== 'FeatureCollection' || !Array.isArray(body.features)) {
+    return { validation: false, message: 'GeoJSON 은 features 배열이 있는 FeatureCollection 이어야 합니다.' };
+  }
+
+  const rows = body.features.map((feature, index) => {
+    const geometry = feature && feature.geometry;
+    const isPoint = Boolean(geometry) && geometry.type === 'Point' && Array.isArray(geometry.coordinates);
+    const properties = (feature && feature.properties) || {};
+    return {
+      row: index + 1,
+      name: typeof properties.name === 'string' ? properties.name.trim() : properties.name,
+      latitude: isPoint ? geometry.coordinates[1] : undefined,
+      longitude: isPoint ? geometry.coordinates[0] : undefined,
+      isPoint,
+    };
+  });
+  return { validation: true, rows };
+}
+
+// 모든 행을 검사해서 행마다 오류를 모으고, 이미 저장된 역명과 파일 안의 중복 역명도 오류로 본다
+async function validateStationRows(rows) {
+  const errors = [];
+  const seenNames = new Map();
+
+  for (const { row, name, latitude, longitude, isPoint } of rows) {
+    const rowErrors = [];
+    if (isPoint === false) {
+      rowErrors.push('geometry 는 Point 여야 합니다.');
+    }
+    if (typeof name !== 'string' || name === '') {
+      rowErrors.push('name 은 문자로 입력해주세요.');
+    } else if (seenNames.has(name)) {
+      rowErrors.push(`${name} 은 ${seenNames.get(name)}번째 행과 중복됩니다.`);
+    } else {
+      seenNames.set(name, row);
+    }
+    if (typeof latitude !== 'number' || !(-90 < latitude && 90 > latitude)) {
+      rowErrors.push('latitude 는 -90 에서 90 사이의 값을 입력해주세요.');
+    }
+    if (typeof longitude !== 'number' || !(-180 < longitude && 180 > longitude)) {
+      rowErrors.push('longitude 는 -180 에서 180 사이의 값을 입력해주세요.');
+    }
+    rowErrors.forEach((message) => errors.push({ row, message }));
+  }
+
+  if (seenNames.size > 0) {
+    const duplicatedStations = await Station.findAll({
+      where: { name: { [Op.in]: [...seenNames.keys()] } },
+      attributes: ['name'],
+    });
+    for (const { name } of duplicatedStations) {
+      errors.push({ row: seenNames.get(name), message: `${name} 은 이미 저장되어 있습니다.` });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return errors;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// stations 는 { id, name, latitude, longitude, availability } 배열
+function stationsToCsv(stations) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const { id, name, latitude, longitude, availability } of stations) {
+    const { total, unoccupied, occupied, underManagement, reserved, held } = availability;
+    lines.push(
+      [id, name, latitude, longitude, total, unoccupied, occupied, underManagement, reserved, held]
+        .map(csvField)
+        .join(','),
+    );
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function stationsToGeoJson(stations) {
+  return {
+    type: 'FeatureCollection',
+    features: stations.map(({ id, name, latitude, longitude, availability }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [Number(longitude), Number(latitude)] },
+      properties: { id, name, ...availability },
+    })),
+  };
+}
+
+module.exports = {
+  parseStationCsv,
+  parseStationGeoJson,
+  validateStationRows,
+  stationsToCsv,
+  stationsToGeoJson,
+};
@@ -0,0 +1,202 @@
+const { Op } = require('sequelize');
+const { StationHour, StationHourException, StationClosure } = require('../models');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+// 다음 운영 시작 시간을 찾을 때 마지막 휴업이 끝난 뒤로 더 살펴볼 기간
+const NEXT_OPEN_SEARCH_DAYS = 14;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function timeOnDay(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+}
+
+function openInterval(day, openTime, closeTime) {
+  const start = timeOnDay(day, openTime);
+  let end = timeOnDay(day, closeTime);
+  // 자정을 넘겨서 운영하는 경우
+  if (end.getTime() <= start.getTime()) {
+    end = new Date(end.getTime() + ONE_DAY);
+  }
+  return { start, end };
+}
+
+// 특정 날짜에 문을 여는 구간, 요일별 운영 시간이 하나도 없는 역은 24시간 운영
+function dayInterval(schedule, day) {
+  const exception = schedule.exceptions.find((stationHourException) => stationHourException.date === dateKey(day));
+  if (exception) {
+    return exception.openTime ? openInterval(day, exception.openTime, exception.closeTime) : null;
+  }
+  if (schedule.hours.length === 0) {
+    return { start: day, end: new Date(day.getTime() + ONE_DAY) };
+  }
+  const stationHour = schedule.hours.find((hour) => hour.dayOfWeek === day.getDay());
+  return stationHour ? openInterval(day, stationHour.openTime, stationHour.closeTime) : null;
+}
+
+async function loadStationSchedule(stationId) {
+  const hours = await StationHour.findAll({ where: { stationId } });
+  const exceptions = await StationHourException.findAll({ where: { stationId } });
+  const closures = await StationClosure.findAll({ where: { stationId } });
+  return { hours, exceptions, closures };
+}
+
+function contains(interval, dateTime) {
+  return interval.start.getTime() <= dateTime.getTime() && dateTime.getTime() < interval.end.getTime();
+}
+
+// 전날 운영이 자정을 넘길 수 있어서 전날 구간도 같이 본다
+function scheduleStatusAt(schedule, dateTime) {
+  const closure = schedule.closures.find((stationClosure) =>
+    contains({ start: stationClosure.startDateTime, end: stationClosure.endDateTime }, dateTime),
+  );
+  if (closure) {
+    return { isOpen: false, reason: closure.reason };
+  }
+
+  const today = startOfDay(dateTime);
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  const isOpen = [yesterday, today].some((day) => {
+    const interval = dayInterval(schedule, day);
+    return interval !== null && contains(interval, dateTime);
+  });
+  if (isOpen) {
+    return { isOpen: true, reason: null };
+  }
+  const exception = schedule.exceptions.find((stationHourException) => stationHourException.date === dateKey(today));
+  return { isOpen: false, reason: exception ? exception.reason : null };
+}
+
+// 문을 여는 시점은 어떤 날의 운영 시작 시간이거나 휴업이 끝나는 시간이다
+function nextOpenAt(schedule, dateTime) {
+  const lastClosureEnd = schedule.closures.reduce(
+    (latest, stationClosure) => Math.max(latest, stationClosure.endDateTime.getTime()),
+    dateTime.getTime(),
+  );
+  const searchEnd = lastClosureEnd + NEXT_OPEN_SEARCH_DAYS * ONE_DAY;
+
+  const candidates = schedule.closures
+    .map((stationClosure) => stationClosure.endDateTime)
+    .filter((closureEnd) => closureEnd.getTime() > dateTime.getTime());
+  let day = startOfDay(dateTime);
+  while (day.getTime() <= searchEnd) {
+    const interval = dayInterval(schedule, day);
+    if (interval && interval.start.getTime() > dateTime.getTime()) {
+      candidates.push(interval.start);
+    }
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+
+  candidates.sort((a, b) => a.getTime() - b.getTime());
+  return candidates.find((candidate) => scheduleStatusAt(schedule, candidate).isOpen) || null;
+}
+
+// 겹치는 구간을 합쳐서 시작 시간 순으로 돌려준다
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start.getTime() - b.start.getTime());
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start.getTime() <= last.end.getTime()) {
+      last.end = new Date(Math.max(last.end.getTime(), interval.end.getTime()));
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+// start 부터 end 까지 역이 문을 연 시간(ms), 운영 시간이 아니거나 휴업 중인 시간은 빼고 센다
+function openTimeBetween(schedule, start, end) {
+  if (end.getTime() <= start.getTime()) {
+    return 0;
+  }
+
+  const openIntervals = [];
+  const today = startOfDay(start);
+  let day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  while (day.getTime() < end.getTime()) {
+    const interval = dayInterval(schedule, day);
+    if (interval) {
+      openIntervals.push(interval);
+    }
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+  const closedIntervals = mergeIntervals(
+    schedule.closures.map((stationClosure) => ({
+      start: stationClosure.startDateTime,
+      end: stationClosure.endDateTime,
+    })),
+  );
+
+  let openTime = 0;
+  for (const interval of mergeIntervals(openIntervals)) {
+    let from = Math.max(interval.start.getTime(), start.getTime());
+    const to = Math.min(interval.end.getTime(), end.getTime());
+    for (const closed of closedIntervals) {
+      if (from >= to) {
+        break;
+      }
+      if (closed.end.getTime() <= from || closed.start.getTime() >= to) {
+        continue;
+      }
+      openTime += Math.max(0, closed.start.getTime() - from);
+      from = closed.end.getTime();
+    }
+    openTime += Math.max(0, to - from);
+  }
+  return openTime;
+}
+
+// 역이 dateTime 에 운영 중인지와 운영 중이 아니면 다음에 문을 여는 시간
+async function stationOpenStatus(stationId, dateTime = new Date()) {
+  const schedule = await loadStationSchedule(stationId);
+  const status = scheduleStatusAt(schedule, dateTime);
+  return {
+    ...status,
+    nextOpenAt: status.isOpen ? null : nextOpenAt(schedule, dateTime),
+  };
+}
+
+// 반납할 수 없었던 시간을 연체 시간에서 빼기 위해 start 부터 end 까지 역이 문을 연 시간을 센다
+async function stationOpenTime(stationId, start, end) {
+  const schedule = await loadStationSchedule(stationId);
+  return openTimeBetween(schedule, new Date(start), new Date(end));
+}
+
+async function upcomingStationSchedule(stationId, dateTime = new Date()) {
+  const hours = await StationHour.findAll({
+    where: { stationId },
+    attributes: ['dayOfWeek', 'openTime', 'closeTime'],
+    order: [['dayOfWeek', 'ASC']],
+  });
+  const exceptions = await StationHourException.findAll({
+    where: { stationId, date: { [Op.gte]: dateKey(dateTime) } },
+    attributes: ['id', 'date', 'openTime', 'closeTime', 'reason'],
+    order: [['date', 'ASC']],
+  });
+  const closures = await StationClosure.findAll({
+    where: { stationId, endDateTime: { [Op.gt]: dateTime } },
+    attributes: ['id', 'startDateTime', 'endDateTime', 'reason'],
+    order: [['startDateTime', 'ASC']],
+  });
+  return { hours, exceptions, closures };
+}
+
+module.exports = {
+  scheduleStatusAt,
+  nextOpenAt,
+  openTimeBetween,
+  stationOpenStatus,
+  stationOpenTime,
+  upcomingStationSchedule,
+};
@@ -0,0 +1,103 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Locker, Waitlist } = require('../models');
+const { LockerStatus, WaitlistStatus } = require('../models/enums');
+const { lockerScheduleValidation } = require('../functions');
+const { holdMinutes } = require('../config/waitlist');
+const { notify } = require('./notification');
+const { publishLockerStatus } = require('./lockerStatusStream');
+
+// 비워진 사물함을 크기가 맞는 가장 먼저 줄 선 대기자에게 holdMinutes 동안 잡아두고 알림을 보낸다
+async function offerLocker(lockerId) {
+  const locker = await Locker.findByPk(lockerId);
+  if (!locker || locker.status !== LockerStatus.UNOCCUPIED) {
+    return null;
+  }
+
+  const holdExpiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+  const isAvailable = await lockerScheduleValidation(locker.id, new Date(), holdExpiresAt);
+  if (!isAvailable.validation) {
+    return null;
+  }
+
+  const waitlist = await sequelize.transaction(async () => {
+    const nextWaitlist = await Waitlist.findOne({
+      where: {
+        stationId: locker.stationId,
+        status: WaitlistStatus.WAITING,
+        [Op.or]: [{ size: null }, { size: locker.size }],
+      },
+      order: [
+        ['createdAt', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      lock: true,
+    });
+    if (!nextWaitlist) {
+      return null;
+    }
+
+    const [updatedCount] = await Locker.update(
+      { status: LockerStatus.HELD },
+      { where: { id: locker.id, status: LockerStatus.UNOCCUPIED } },
+    );
+    if (updatedCount === 0) {
+      return null;
+    }
+
+    await Waitlist.update(
+      { status: WaitlistStatus.HOLDING, lockerId: locker.id, holdExpiresAt },
+      { where: { id: nextWaitlist.id } },
+    );
+    return nextWaitlist;
+  });
+  if (!waitlist) {
+    return null;
+  }
+
+  await publishLockerStatus(locker.id);
+  await notify(
+    waitlist.userId,
+    `기다리시던 사물함 ${locker.id}번이 비었습니다. ${holdExpiresAt.toLocaleString()} 까지 대여해주세요.`,
+  );
+  return waitlist;
+}
+
+// 잡아둔 사물함을 풀고 다음 대기자에게 넘긴다
+async function releaseHold(waitlistId, status) {
+  const releasedWaitlist = await sequelize.transaction(async () => {
+    const waitlist = await Waitlist.findOne({ where: { id: waitlistId }, lock: true });
+    if (!waitlist || waitlist.status !== WaitlistStatus.HOLDING) {
+      return null;
+    }
+
+    await Waitlist.update({ status }, { where: { id: waitlistId } });
+    await Locker.update(
+      { status: LockerStatus.UNOCCUPIED },
+      { where: { id: waitlist.lockerId, status: LockerStatus.HELD } },
+    );
+    return waitlist;
+  });
+  if (!releasedWaitlist) {
+    return null;
+  }
+
+  await publishLockerStatus(releasedWaitlist.lockerId);
+  await offerLocker(releasedWaitlist.lockerId);
+  return releasedWaitlist;
+}
+
+// 잡아둔 사물함이 관리중으로 바뀌면 대기자를 처음 줄 선 순서 그대로 다시 대기 상태로 돌린다
+async function requeueHold(lockerId) {
+  const [requeuedCount] = await Waitlist.update(
+    { status: WaitlistStatus.WAITING, lockerId: null, holdExpiresAt: null },
+    { where: { lockerId, status: WaitlistStatus.HOLDING } },
+  );
+  return requeuedCount;
+}
+
+module.exports = {
+  offerLocker,
+  releaseHold,
+  requeueHold,
+};
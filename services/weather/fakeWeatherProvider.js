@@ -0,0 +1,30 @@
+const ONE_HOUR = 60 * 60 * 1000;
+
+// 로컬 개발, 테스트용 날씨 provider. 외부 API 없이 고정된 날씨를 돌려주며
+// FAKE_WEATHER_FAILURE=true 로 실패를, FAKE_WEATHER_RAIN=true 로 강한 비 예보를 재현할 수 있다
+const fakeWeatherProvider = {
+  name: 'fake',
+  forecastStepHours: 1,
+  async current() {
+    if (process.env.FAKE_WEATHER_FAILURE === 'true') {
+      throw new Error('날씨 정보를 가져오지 못했습니다. (fake provider)');
+    }
+    return { temperature: 20, humidity: 50, description: '맑음' };
+  },
+  async forecast({ hours }) {
+    if (process.env.FAKE_WEATHER_FAILURE === 'true') {
+      throw new Error('예보를 가져오지 못했습니다. (fake provider)');
+    }
+    const rain = process.env.FAKE_WEATHER_RAIN === 'true';
+    const nextHour = Math.ceil(Date.now() / ONE_HOUR) * ONE_HOUR;
+    return Array.from({ length: hours }, (value, index) => ({
+      time: new Date(nextHour + index * ONE_HOUR),
+      temperature: 20,
+      precipitationProbability: rain ? 0.9 : 0,
+      precipitation: rain ? 10 : 0,
+      description: rain ? '강한 비' : '맑음',
+    }));
+  },
+};
+
+module.exports = fakeWeatherProvider;
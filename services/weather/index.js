@@ -0,0 +1,132 @@
+const openWeatherProvider = require('./openWeatherProvider');
+const fakeWeatherProvider = require('./fakeWeatherProvider');
+const weatherRecommendation = require('./recommendation');
+const {
+  provider,
+  cacheTtlSeconds,
+  failureCacheTtlSeconds,
+  timeoutMs,
+  forecastHours,
+  forecastCacheTtlSeconds,
+} = require('../../config/weather');
+
+// provider 는 name, forecastStepHours, current({ latitude, longitude, signal }), forecast({ latitude, longitude, hours, signal }) 를 가진다.
+// current 는 { temperature, humidity, description } 를, forecast 는 forecastStepHours 시간 간격의 시간순
+// { time, temperature, precipitationProbability, precipitation(mm/h), description } 배열을 돌려주고 실패하면 에러를 던진다
+const providers = {
+  [openWeatherProvider.name]: openWeatherProvider,
+  [fakeWeatherProvider.name]: fakeWeatherProvider,
+};
+
+// 역 id 와 좌표로 만든 key 별 { value, expiresAt }, 역 좌표가 바뀌면 새로 가져온다.
+// value 는 결과의 Promise 라서 가져오는 중인 key 도 캐시에 있고, 가져오는 동안 expiresAt 은 Infinity
+const cache = new Map();
+
+function registerWeatherProvider(weatherProvider) {
+  providers[weatherProvider.name] = weatherProvider;
+}
+
+function getWeatherProvider() {
+  const weatherProvider = providers[provider];
+  if (!weatherProvider) {
+    throw new Error(`등록되지 않은 날씨 provider 입니다: ${provider}`);
+  }
+  return weatherProvider;
+}
+
+// provider 가 signal 을 무시하더라도 timeoutMs 가 지나면 기다리지 않는다
+async function fetchWithTimeout(request) {
+  const controller = new AbortController();
+  let timeout;
+  const timedOut = new Promise((resolve, reject) => {
+    timeout = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`날씨 provider 가 ${timeoutMs}ms 안에 응답하지 않았습니다.`));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([request(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function cacheKey(type, station) {
+  return `${type}:${station.id}:${Number(station.latitude)},${Number(station.longitude)}`;
+}
+
+// 역 상세 조회를 막지 않도록 provider 가 실패해도 에러를 던지지 않고 unavailable 값을 캐시해서 돌려준다.
+// 같은 key 로 동시에 들어온 요청은 provider 를 한 번만 부르고 같은 결과를 기다린다
+function cached(key, ttlSeconds, request, unavailable) {
+  const cachedEntry = cache.get(key);
+  if (cachedEntry && cachedEntry.expiresAt > Date.now()) {
+    return cachedEntry.value;
+  }
+
+  const entry = { expiresAt: Infinity };
+  entry.value = fetchWithTimeout(request)
+    .then(
+      (value) => ({ value, expiresInSeconds: ttlSeconds }),
+      (err) => {
+        console.error(`날씨 정보를 가져오지 못했습니다. (${key})`, err.message);
+        return { value: unavailable, expiresInSeconds: failureCacheTtlSeconds };
+      },
+    )
+    .then(({ value, expiresInSeconds }) => {
+      entry.expiresAt = Date.now() + expiresInSeconds * 1000;
+      return value;
+    });
+  cache.set(key, entry);
+  return entry.value;
+}
+
+function stationLocation(station) {
+  return { latitude: Number(station.latitude), longitude: Number(station.longitude) };
+}
+
+async function getStationWeather(station) {
+  return cached(
+    cacheKey('current', station),
+    cacheTtlSeconds,
+    async (signal) => {
+      const current = await getWeatherProvider().current({ ...stationLocation(station), signal });
+      return { available: true, ...current, fetchedAt: new Date() };
+    },
+    { available: false, message: '날씨 정보를 가져올 수 없습니다.' },
+  );
+}
+
+// 앞으로 forecastHours 시간의 예보와 예보에 맞춘 사물함 추천,
+// 예보 한 칸이 몇 시간인지는 provider 마다 달라서 stepHours 로 함께 돌려준다
+async function getStationForecast(station) {
+  return cached(
+    cacheKey('forecast', station),
+    forecastCacheTtlSeconds,
+    async (signal) => {
+      const weatherProvider = getWeatherProvider();
+      const stepHours = weatherProvider.forecastStepHours || 1;
+      const hours = await weatherProvider.forecast({ ...stationLocation(station), hours: forecastHours, signal });
+      const forecast = hours.slice(0, Math.ceil(forecastHours / stepHours));
+      return {
+        available: true,
+        stepHours,
+        hours: forecast,
+        recommendation: weatherRecommendation(forecast),
+        fetchedAt: new Date(),
+      };
+    },
+    { available: false, hours: [], recommendation: null, message: '예보 정보를 가져올 수 없습니다.' },
+  );
+}
+
+function clearWeatherCache() {
+  cache.clear();
+}
+
+module.exports = {
+  registerWeatherProvider,
+  getWeatherProvider,
+  getStationWeather,
+  getStationForecast,
+  clearWeatherCache,
+};
@@ -0,0 +1,47 @@
+const OPEN_WEATHER_URL = 'https://api.openweathermap.org/data/2.5';
+// 무료 forecast API 는 3시간 단위 예보를 준다
+const FORECAST_STEP_HOURS = 3;
+
+async function fetchOpenWeather(path, { latitude, longitude, signal }, query = '') {
+  const appId = process.env.WEATHER_API_KEY;
+  if (!appId) {
+    throw new Error('WEATHER_API_KEY 가 설정되지 않았습니다.');
+  }
+  const apiUrl = `${OPEN_WEATHER_URL}/${path}?lat=${latitude}&lon=${longitude}&appid=${appId}&lang=kr&units=metric${query}`;
+  const response = await fetch(apiUrl, { signal });
+  if (!response.ok) {
+    throw new Error(`OpenWeather 응답 오류: ${response.status}`);
+  }
+  return response.json();
+}
+
+const openWeatherProvider = {
+  name: 'openweather',
+  forecastStepHours: FORECAST_STEP_HOURS,
+  async current(location) {
+    const data = await fetchOpenWeather('weather', location);
+    if (!data.main || typeof data.main.temp !== 'number') {
+      throw new Error('OpenWeather 응답에 기온 정보가 없습니다.');
+    }
+    return {
+      temperature: data.main.temp,
+      humidity: data.main.humidity,
+      description: data.weather && data.weather[0] ? data.weather[0].description : null,
+    };
+  },
+  async forecast({ hours, ...location }) {
+    const data = await fetchOpenWeather('forecast', location, `&cnt=${Math.ceil(hours / FORECAST_STEP_HOURS)}`);
+    if (!Array.isArray(data.list)) {
+      throw new Error('OpenWeather 응답에 예보 정보가 없습니다.');
+    }
+    return data.list.map((item) => ({
+      time: new Date(item.dt * 1000),
+      temperature: item.main.temp,
+      precipitationProbability: item.pop || 0,
+      precipitation: item.rain && item.rain['3h'] ? item.rain['3h'] / FORECAST_STEP_HOURS : 0,
+      description: item.weather && item.weather[0] ? item.weather[0].description : null,
+    }));
+  },
+};
+
+module.exports = openWeatherProvider;
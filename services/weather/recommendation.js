@@ -0,0 +1,33 @@
+const { LockerSize } = require('../../models/enums');
+const { heavyRainMmPerHour, rainProbability, coldTemperature } = require('../../config/weather');
+
+// 예보를 보고 맡길 짐에 맞는 사물함 크기를 추천, 추천할 것이 없으면 null
+function weatherRecommendation(forecast) {
+  if (forecast.length === 0) {
+    return null;
+  }
+  const heavyRain = forecast.find((hour) => hour.precipitation >= heavyRainMmPerHour);
+  if (heavyRain) {
+    return {
+      size: LockerSize.LARGE,
+      message: `${heavyRain.time.toLocaleTimeString()} 쯤 강한 비가 예보되어 있습니다. 우산과 젖은 외투를 함께 넣을 수 있는 large 사물함을 추천합니다.`,
+    };
+  }
+  const rain = forecast.find((hour) => hour.precipitationProbability >= rainProbability);
+  if (rain) {
+    return {
+      size: LockerSize.MEDIUM,
+      message: `${rain.time.toLocaleTimeString()} 쯤 비 소식이 있습니다. 우산을 맡겨 둘 수 있는 medium 사물함을 추천합니다.`,
+    };
+  }
+  const lowestTemperature = Math.min(...forecast.map((hour) => hour.temperature));
+  if (lowestTemperature <= coldTemperature) {
+    return {
+      size: LockerSize.MEDIUM,
+      message: `기온이 ${lowestTemperature}°C 까지 내려갑니다. 두꺼운 외투를 맡길 수 있는 medium 사물함을 추천합니다.`,
+    };
+  }
+  return null;
+}
+
+module.exports = weatherRecommendation;
@@ -0,0 +1,34 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { numberEnv } = require('../config/env');
+
+const NAME = 'NUMBER_ENV_TEST_VALUE';
+
+describe('numberEnv', () => {
+  afterEach(() => {
+    delete process.env[NAME];
+  });
+
+  it('설정하지 않았거나 빈 값이면 기본값', () => {
+    assert.strictEqual(numberEnv(NAME, 15), 15);
+    process.env[NAME] = ' ';
+    assert.strictEqual(numberEnv(NAME, 15), 15);
+  });
+
+  it('0 을 설정하면 기본값이 아니라 0', () => {
+    process.env[NAME] = '0';
+    assert.strictEqual(numberEnv(NAME, 2000), 0);
+  });
+
+  it('소수와 음수도 숫자로 읽는다', () => {
+    process.env[NAME] = '0.5';
+    assert.strictEqual(numberEnv(NAME, 1), 0.5);
+    process.env[NAME] = '-3';
+    assert.strictEqual(numberEnv(NAME, 1), -3);
+  });
+
+  it('숫자가 아니면 에러', () => {
+    process.env[NAME] = 'abc';
+    assert.throws(() => numberEnv(NAME, 1), /NUMBER_ENV_TEST_VALUE 값은 숫자로 입력해주세요/);
+  });
+});
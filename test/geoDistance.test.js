@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const geoDistance = require('../functions/geoDistance');
+
+const seoulStation = { latitude: 37.5547, longitude: 126.9707 };
+const gangnamStation = { latitude: 37.4979, longitude: 127.0276 };
+
+describe('geoDistance', () => {
+  it('같은 좌표면 0', () => {
+    assert.strictEqual(geoDistance(seoulStation, seoulStation), 0);
+  });
+
+  it('서울역에서 강남역까지 약 8km', () => {
+    const distance = geoDistance(seoulStation, gangnamStation);
+    assert.ok(Math.abs(distance - 8.07) < 0.05, `distance: ${distance}`);
+  });
+
+  it('출발지와 도착지를 바꿔도 거리는 같다', () => {
+    assert.strictEqual(geoDistance(seoulStation, gangnamStation), geoDistance(gangnamStation, seoulStation));
+  });
+
+  it('경도 1도는 적도에서 약 111km, 위도가 높아질수록 짧아진다', () => {
+    const atEquator = geoDistance({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 });
+    const atSixty = geoDistance({ latitude: 60, longitude: 0 }, { latitude: 60, longitude: 1 });
+    assert.ok(Math.abs(atEquator - 111.19) < 0.01, `atEquator: ${atEquator}`);
+    assert.ok(Math.abs(atSixty - atEquator / 2) < 0.1, `atSixty: ${atSixty}`);
+  });
+
+  it('날짜 변경선을 넘는 두 지점은 짧은 쪽으로 계산', () => {
+    const distance = geoDistance({ latitude: 0, longitude: 179.5 }, { latitude: 0, longitude: -179.5 });
+    assert.ok(Math.abs(distance - 111.19) < 0.01, `distance: ${distance}`);
+  });
+});
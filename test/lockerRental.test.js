@@ -0,0 +1,185 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+
+// 대여와 연장을 API 로 확인하는 테스트, 동시 대여는 MySQL 의 행 잠금과 조건부 update 로 막기 때문에 실제 MySQL DB 가 필요하다.
+// TEST_DB_NAME 에 지워져도 되는 DB 이름을 넣으면 테이블을 새로 만들고 실행하고, 없으면 건너뛴다
+const testDbName = process.env.TEST_DB_NAME;
+if (testDbName) {
+  process.env.DB_NAME = testDbName;
+  process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'test-secret-key';
+  process.env.SALT_ROUNDS = process.env.SALT_ROUNDS || '4';
+  process.env.PAYMENT_PROVIDER = 'fake';
+}
+
+const CONCURRENT_RENTALS = 10;
+const PASSWORD = 'password1234';
+
+describe('사물함 대여', { skip: !testDbName && 'TEST_DB_NAME 이 없어서 건너뜁니다.' }, () => {
+  let sequelize;
+  let models;
+  let enums;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    sequelize = require('../config/database');
+    models = require('../models');
+    enums = require('../models/enums');
+    await sequelize.sync({ force: true });
+
+    const app = require('../app');
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) {
+      server.close();
+    }
+    if (sequelize) {
+      await sequelize.close();
+    }
+  });
+
+  async function signIn(email) {
+    const response = await fetch(`${baseUrl}/auth/sign-in`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password: PASSWORD }),
+    });
+    assert.strictEqual(response.status, 201);
+    const { accessToken } = await response.json();
+    return accessToken;
+  }
+
+  async function createUser(email) {
+    const bcrypt = require('bcrypt');
+    const hashedPassword = await bcrypt.hash(PASSWORD, Number(process.env.SALT_ROUNDS));
+    await models.User.create({ email, password: hashedPassword, authority: enums.UserAuthority.USER });
+    return signIn(email);
+  }
+
+  it('같은 사물함에 동시에 대여하면 하나만 성공하고 나머지는 409', async () => {
+    const { Station, Locker, Rental } = models;
+    const { LockerStatus, LockerSize, RentalStatus } = enums;
+
+    const station = await Station.create({ name: '동시대여역', latitude: 37.5, longitude: 127.0 });
+    const locker = await Locker.create({
+      stationId: station.id,
+      status: LockerStatus.UNOCCUPIED,
+      size: LockerSize.MEDIUM,
+    });
+    const tokens = [];
+    for (let i = 0; i < CONCURRENT_RENTALS; i++) {
+      tokens.push(await createUser(`renter${i}@test.com`));
+    }
+
+    const responses = await Promise.all(
+      tokens.map((token) =>
+        fetch(`${baseUrl}/lockers/rental`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ lockerId: locker.id }),
+        }),
+      ),
+    );
+    const statuses = responses.map((response) => response.status);
+
+    assert.strictEqual(statuses.filter((status) => status === 200).length, 1, `응답 코드: ${statuses}`);
+    assert.strictEqual(
+      statuses.filter((status) => status === 409).length,
+      CONCURRENT_RENTALS - 1,
+      `응답 코드: ${statuses}`,
+    );
+
+    const activeRentals = await Rental.findAll({ where: { lockerId: locker.id, status: RentalStatus.ACTIVE } });
+    assert.strictEqual(activeRentals.length, 1);
+    const rentedLocker = await Locker.findByPk(locker.id);
+    assert.strictEqual(rentedLocker.status, LockerStatus.OCCUPIED);
+    assert.strictEqual(rentedLocker.userId, activeRentals[0].userId);
+  });
+
+  it('바로 대여한 사물함은 역의 최대 대여 시간까지 연장할 수 있다', async () => {
+    const { Station, Locker, Rental } = models;
+    const { LockerStatus, LockerSize } = enums;
+    const { standardRentalHours } = require('../config/rental');
+    const HOUR = 60 * 60 * 1000;
+
+    const maxRentalHours = standardRentalHours + 2;
+    const station = await Station.create({ name: '연장역', latitude: 37.5, longitude: 127.0, maxRentalHours });
+    const locker = await Locker.create({
+      stationId: station.id,
+      status: LockerStatus.UNOCCUPIED,
+      size: LockerSize.MEDIUM,
+    });
+    const token = await createUser('extender@test.com');
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+    const rentalResponse = await fetch(`${baseUrl}/lockers/rental`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ lockerId: locker.id }),
+    });
+    assert.strictEqual(rentalResponse.status, 200);
+    const rental = await Rental.findOne({ where: { lockerId: locker.id } });
+    assert.strictEqual(
+      rental.expectedEndDateTime.getTime() - rental.startDateTime.getTime(),
+      standardRentalHours * HOUR,
+    );
+
+    const extend = (hours) =>
+      fetch(`${baseUrl}/rentals/${rental.id}/extend`, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify({ hours }),
+      });
+    const extendResponse = await extend(2);
+    assert.strictEqual(extendResponse.status, 200);
+    const extendedRental = await extendResponse.json();
+    assert.strictEqual(
+      new Date(extendedRental.expectedEndDateTime).getTime() - rental.startDateTime.getTime(),
+      maxRentalHours * HOUR,
+    );
+
+    const overMaxResponse = await extend(1);
+    assert.strictEqual(overMaxResponse.status, 422);
+  });
+
+  it('연체 중인 대여는 연장해서 연체료를 없앨 수 없다', async () => {
+    const { Station, Locker, Rental } = models;
+    const { LockerStatus, LockerSize, RentalStatus } = enums;
+    const HOUR = 60 * 60 * 1000;
+
+    const station = await Station.create({ name: '연체역', latitude: 37.5, longitude: 127.0 });
+    const token = await createUser('overdue@test.com');
+    const user = await models.User.findOne({ where: { email: 'overdue@test.com' } });
+    const locker = await Locker.create({
+      stationId: station.id,
+      status: LockerStatus.OCCUPIED,
+      size: LockerSize.MEDIUM,
+      userId: user.id,
+    });
+    const rental = await Rental.create({
+      userId: user.id,
+      lockerId: locker.id,
+      stationId: station.id,
+      startDateTime: new Date(Date.now() - 10 * HOUR),
+      expectedEndDateTime: new Date(Date.now() - 2 * HOUR),
+      isOverdue: true,
+      lateFee: 2000,
+      status: RentalStatus.ACTIVE,
+    });
+
+    const response = await fetch(`${baseUrl}/rentals/${rental.id}/extend`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ hours: 5 }),
+    });
+    assert.strictEqual(response.status, 422);
+    const unchangedRental = await Rental.findByPk(rental.id);
+    assert.strictEqual(unchangedRental.lateFee, 2000);
+    assert.strictEqual(unchangedRental.isOverdue, true);
+  });
+});
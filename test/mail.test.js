@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+// nodemailer 가 보내는 명령에 정해진 응답만 돌려주고, 받은 메일 원문을 모아두는 테스트용 SMTP 서버
+function startFakeSmtpServer() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      if (data !== null) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        data += buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        received.push(data);
+        data = null;
+        socket.write('250 OK\r\n');
+      }
+      let index = buffer.indexOf('\r\n');
+      while (data === null && index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          data = '';
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+        index = buffer.indexOf('\r\n');
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received }));
+  });
+}
+
+describe('메일 발송', () => {
+  let fakeServer;
+  let sendMail;
+  let consoleMailTransport;
+
+  // config/mail 은 불러올 때 환경 변수를 읽으므로 가짜 서버 포트를 정한 다음에 불러온다
+  before(async () => {
+    fakeServer = await startFakeSmtpServer();
+    process.env.MAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(fakeServer.server.address().port);
+    process.env.SMTP_TIMEOUT_MS = '2000';
+    ({ sendMail } = require('../services/mail'));
+    consoleMailTransport = require('../services/mail/consoleMailTransport');
+  });
+
+  after(() => {
+    fakeServer.server.close();
+  });
+
+  it('smtp transport 로 보낸 메일의 받는 사람, 제목, 본문이 서버에 도착한다', async () => {
+    await sendMail({
+      to: 'user@example.com',
+      subject: '비밀번호 재설정 안내',
+      text: '안녕하세요\n.점으로 시작하는 줄',
+    });
+
+    assert.strictEqual(fakeServer.received.length, 1);
+    const [message] = fakeServer.received;
+    assert.match(message, /^To: user@example\.com$/m);
+    assert.match(message, /^Subject: =\?UTF-8\?/m);
+    const body = message.split('\r\n\r\n')[1];
+    assert.strictEqual(Buffer.from(body, 'base64').toString('utf8'), '안녕하세요\n.점으로 시작하는 줄');
+  });
+
+  it('받는 사람 주소에 줄바꿈이 있으면 보내지 않는다', async () => {
+    await assert.rejects(
+      sendMail({ to: 'user@example.com\r\nBcc: other@example.com', subject: '제목', text: '본문' }),
+      /줄바꿈/,
+    );
+  });
+
+  it('local 모드가 아니면 console transport 는 링크의 token 을 가린다', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    await consoleMailTransport.send({
+      from: 'no-reply@example.com',
+      to: 'user@example.com',
+      subject: '비밀번호 재설정 안내',
+      text: 'http://localhost/reset-password?token=abc-DEF_123&lang=ko',
+    });
+
+    const [output] = log.mock.calls[0].arguments;
+    assert.ok(!output.includes('abc-DEF_123'));
+    assert.ok(output.includes('?token=***&lang=ko'));
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const pagination = require('../functions/paginations');
+
+// count 와 findAll 만 흉내 내는 모델, findAll 에 넘긴 옵션을 기록한다
+function fakeModel(rows) {
+  const calls = [];
+  return {
+    calls,
+    async count({ where }) {
+      calls.push({ method: 'count', where });
+      return rows.length;
+    },
+    async findAll(options) {
+      calls.push({ method: 'findAll', ...options });
+      return rows.slice(options.offset, options.offset + options.limit);
+    },
+  };
+}
+
+describe('pagination', () => {
+  it('게시물이 없으면 게시판 첫 페이지는 빈 목록', async () => {
+    const model = fakeModel([]);
+    const result = await pagination(1, 5, model);
+    assert.deepStrictEqual(result.items, []);
+    assert.strictEqual(result.metadata.totalPages, 0);
+    assert.strictEqual(result.metadata.count, 0);
+    assert.strictEqual(result.metadata.nextPage, null);
+    assert.strictEqual(result.metadata.previousPage, null);
+    assert.ok(!model.calls.some((call) => call.method === 'findAll'));
+  });
+
+  it('검색 조건에 맞는 사물함이 없으면 빈 목록', async () => {
+    const model = fakeModel([]);
+    const where = { size: 'large' };
+    const result = await pagination(1, 10, model, null, null, null, where);
+    assert.deepStrictEqual(result.items, []);
+    assert.deepStrictEqual(model.calls[0], { method: 'count', where });
+  });
+
+  it('결과가 있으면 범위를 넘는 page 는 400', async () => {
+    const model = fakeModel([{ id: 1 }, { id: 2 }]);
+    await assert.rejects(pagination(2, 5, model), (err) => err.status === 400);
+  });
+
+  it('page 와 limit 으로 offset 을 계산해서 가져온다', async () => {
+    const rows = Array.from({ length: 12 }, (_, index) => ({ id: index + 1 }));
+    const model = fakeModel(rows);
+    const result = await pagination(3, 5, model);
+    assert.deepStrictEqual(
+      result.items.map((row) => row.id),
+      [11, 12],
+    );
+    assert.strictEqual(result.metadata.totalPages, 3);
+    assert.strictEqual(result.metadata.offset, 10);
+    assert.strictEqual(result.metadata.previousPage, 2);
+    assert.strictEqual(result.metadata.nextPage, null);
+  });
+
+  it('page 나 limit 이 숫자가 아니면 400', async () => {
+    const model = fakeModel([]);
+    await assert.rejects(pagination(Number('a'), 5, model), (err) => err.status === 400);
+    await assert.rejects(pagination(1, 1.5, model), (err) => err.status === 400);
+  });
+});
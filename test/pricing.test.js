@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { calculateCharge, calculateLateFee } = require('../services/pricing');
+const { lateFeePerHour, overdueManagementHours } = require('../config/rental');
+
+const HOUR = 60 * 60 * 1000;
+const tariff = { baseHours: 4, baseFee: 2000, hourlyRate: 500, dailyCap: 10000 };
+const start = new Date('2026-10-19T09:00:00');
+
+function amountOf(charge, item) {
+  const chargeItem = charge.items.find((candidate) => candidate.item === item);
+  return chargeItem ? chargeItem.amount : 0;
+}
+
+describe('calculateCharge', () => {
+  it('기본 시간 안에 반납하면 기본 요금만', () => {
+    const charge = calculateCharge(tariff, start, new Date(start.getTime() + 3 * HOUR));
+    assert.strictEqual(charge.hours, 3);
+    assert.strictEqual(charge.total, 2000);
+  });
+
+  it('1분만 써도 1시간으로 계산', () => {
+    const charge = calculateCharge(tariff, start, new Date(start.getTime() + 60 * 1000));
+    assert.strictEqual(charge.hours, 1);
+    assert.strictEqual(charge.total, 2000);
+  });
+
+  it('기본 시간이 지나면 시간 단위로 올림해서 추가 요금', () => {
+    const charge = calculateCharge(tariff, start, new Date(start.getTime() + 5 * HOUR + 1));
+    assert.strictEqual(charge.hours, 6);
+    assert.strictEqual(amountOf(charge, 'hourly'), 1000);
+    assert.strictEqual(charge.total, 3000);
+  });
+
+  it('하루 요금은 dailyCap 을 넘지 않는다', () => {
+    const charge = calculateCharge(tariff, start, new Date(start.getTime() + 48 * HOUR));
+    // 첫 날 2000 + 20 x 500 = 12000, 둘째 날 24 x 500 = 12000 을 각각 10000 으로 맞춘다
+    assert.strictEqual(amountOf(charge, 'dailyCap'), -4000);
+    assert.strictEqual(charge.total, 20000);
+  });
+});
+
+describe('calculateLateFee', () => {
+  it('연체하지 않았으면 0', () => {
+    assert.strictEqual(calculateLateFee(0), 0);
+    assert.strictEqual(calculateLateFee(-HOUR), 0);
+  });
+
+  it('연체 시간을 시간 단위로 올림', () => {
+    assert.strictEqual(calculateLateFee(1), lateFeePerHour);
+    assert.strictEqual(calculateLateFee(2 * HOUR + 1), 3 * lateFeePerHour);
+  });
+
+  it('관리중으로 넘기는 시간이 지나면 연체료가 늘지 않는다', () => {
+    const maxLateFee = overdueManagementHours * lateFeePerHour;
+    assert.strictEqual(calculateLateFee(overdueManagementHours * HOUR), maxLateFee);
+    assert.strictEqual(calculateLateFee((overdueManagementHours + 10) * HOUR), maxLateFee);
+  });
+});
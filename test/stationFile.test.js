@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseStationCsv, parseStationGeoJson, stationsToCsv, stationsToGeoJson } = require('../services/stationFile');
+
+const availability = { total: 3, unoccupied: 1, occupied: 1, underManagement: 0, reserved: 1, held: 0 };
+
+describe('parseStationCsv', () => {
+  it('헤더 순서와 상관없이 컬럼 이름으로 읽고 row 는 헤더를 1 로 센다', () => {
+    const result = parseStationCsv('latitude,name,longitude\n37.55,서울역,126.97\n37.49,강남,127.02\n');
+    assert.strictEqual(result.validation, true);
+    assert.deepStrictEqual(result.rows, [
+      { row: 2, name: '서울역', latitude: 37.55, longitude: 126.97 },
+      { row: 3, name: '강남', latitude: 37.49, longitude: 127.02 },
+    ]);
+  });
+
+  it('BOM, CRLF, 따옴표 안의 쉼표와 줄바꿈, "" 이스케이프를 처리한다', () => {
+    const text = '\uFEFFname,latitude,longitude\r\n"시청, 1호선",37.56,126.97\r\n"따옴표 ""역""\n별관",37.5,127\r\n';
+    const { rows } = parseStationCsv(text);
+    assert.deepStrictEqual(
+      rows.map((row) => row.name),
+      ['시청, 1호선', '따옴표 "역"\n별관'],
+    );
+    assert.strictEqual(rows[1].row, 3);
+  });
+
+  it('빈 줄은 건너뛰고 비어 있는 좌표는 NaN 으로 남겨서 검증에서 걸리게 한다', () => {
+    const { rows } = parseStationCsv('name,latitude,longitude\n\n좌표없음,,127\n');
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].row, 3);
+    assert.ok(Number.isNaN(rows[0].latitude));
+    assert.strictEqual(rows[0].longitude, 127);
+  });
+
+  it('필요한 헤더가 없거나 비어 있으면 실패', () => {
+    assert.deepStrictEqual(parseStationCsv(''), { validation: false, message: 'CSV 가 비어 있습니다.' });
+    const result = parseStationCsv('name,lat,lng\n서울역,37.55,126.97\n');
+    assert.strictEqual(result.validation, false);
+    assert.match(result.message, /latitude, longitude/);
+  });
+});
+
+describe('parseStationGeoJson', () => {
+  it('Point 의 [경도, 위도] 를 읽고 Point 가 아니면 isPoint 가 false', () => {
+    const result = parseStationGeoJson({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [126.97, 37.55] },
+          properties: { name: ' 서울역 ' },
+        },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { name: '노선' } },
+      ],
+    });
+    assert.strictEqual(result.validation, true);
+    assert.deepStrictEqual(result.rows[0], {
+      row: 1,
+      name: '서울역',
+      latitude: 37.55,
+      longitude: 126.97,
+      isPoint: true,
+    });
+    assert.strictEqual(result.rows[1].isPoint, false);
+  });
+
+  it('FeatureCollection 이 아니면 실패', () => {
+    assert.strictEqual(parseStationGeoJson({ type: 'Feature' }).validation, false);
+    assert.strictEqual(parseStationGeoJson(null).validation, false);
+  });
+});
+
+describe('stationsToCsv', () => {
+  it('헤더와 상태별 사물함 수를 CRLF 로 쓰고 쉼표나 따옴표가 있는 값은 감싼다', () => {
+    const csv = stationsToCsv([{ id: 1, name: '시청, "1호선"', latitude: 37.56, longitude: 126.97, availability }]);
+    assert.strictEqual(
+      csv,
+      'id,name,latitude,longitude,total,unoccupied,occupied,underManagement,reserved,held\r\n' +
+        '1,"시청, ""1호선""",37.56,126.97,3,1,1,0,1,0\r\n',
+    );
+  });
+
+  it('내보낸 CSV 를 다시 읽으면 같은 역이 나온다', () => {
+    const stations = [
+      { id: 1, name: '시청, 1호선', latitude: 37.56, longitude: 126.97, availability },
+      { id: 2, name: '줄\n바꿈역', latitude: -33.5, longitude: 151.2, availability },
+    ];
+    const { rows } = parseStationCsv(stationsToCsv(stations));
+    assert.deepStrictEqual(
+      rows.map(({ name, latitude, longitude }) => ({ name, latitude, longitude })),
+      stations.map(({ name, latitude, longitude }) => ({ name, latitude, longitude })),
+    );
+  });
+});
+
+describe('stationsToGeoJson', () => {
+  it('좌표는 [경도, 위도] 숫자로, 사물함 수는 properties 로 내보낸다', () => {
+    const geoJson = stationsToGeoJson([
+      { id: 1, name: '서울역', latitude: '37.55', longitude: '126.97', availability },
+    ]);
+    assert.deepStrictEqual(geoJson.features[0], {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [126.97, 37.55] },
+      properties: { id: 1, name: '서울역', ...availability },
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { scheduleStatusAt, nextOpenAt, openTimeBetween } = require('../services/stationHours');
+
+const HOUR = 60 * 60 * 1000;
+// 2026-10-19 는 월요일
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+const everyDay = (openTime, closeTime) =>
+  [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({ dayOfWeek, openTime, closeTime }));
+
+function schedule({ hours = [], exceptions = [], closures = [] } = {}) {
+  return { hours, exceptions, closures };
+}
+
+describe('scheduleStatusAt', () => {
+  it('요일별 운영 시간이 없으면 24시간 운영', () => {
+    assert.deepStrictEqual(scheduleStatusAt(schedule(), at(19, 3)), { isOpen: true, reason: null });
+  });
+
+  it('운영 시간 안에서만 열려 있고 닫는 시간은 포함하지 않는다', () => {
+    const untilMidnight = schedule({ hours: everyDay('05:30', '00:00') });
+    assert.strictEqual(scheduleStatusAt(untilMidnight, at(19, 5, 29)).isOpen, false);
+    assert.strictEqual(scheduleStatusAt(untilMidnight, at(19, 5, 30)).isOpen, true);
+    assert.strictEqual(scheduleStatusAt(untilMidnight, at(19, 23, 59)).isOpen, true);
+    assert.strictEqual(scheduleStatusAt(untilMidnight, at(20, 0, 0)).isOpen, false);
+  });
+
+  it('자정을 넘겨 운영하면 전날 운영 시간으로 새벽에도 열려 있다', () => {
+    const overnight = schedule({ hours: everyDay('22:00', '02:00') });
+    assert.strictEqual(scheduleStatusAt(overnight, at(20, 1)).isOpen, true);
+    assert.strictEqual(scheduleStatusAt(overnight, at(20, 3)).isOpen, false);
+  });
+
+  it('날짜별 예외와 휴업은 이유와 함께 닫힌 것으로 본다', () => {
+    const withException = schedule({ exceptions: [{ date: '2026-10-19', openTime: null, reason: '공사' }] });
+    assert.deepStrictEqual(scheduleStatusAt(withException, at(19, 12)), { isOpen: false, reason: '공사' });
+
+    const withClosure = schedule({
+      closures: [{ startDateTime: at(19, 10), endDateTime: at(19, 14), reason: '점검' }],
+    });
+    assert.deepStrictEqual(scheduleStatusAt(withClosure, at(19, 12)), { isOpen: false, reason: '점검' });
+    assert.strictEqual(scheduleStatusAt(withClosure, at(19, 14)).isOpen, true);
+  });
+});
+
+describe('nextOpenAt', () => {
+  it('운영 시간 전이면 그날 여는 시간', () => {
+    const daytime = schedule({ hours: everyDay('06:00', '22:00') });
+    assert.deepStrictEqual(nextOpenAt(daytime, at(19, 23)), at(20, 6));
+  });
+
+  it('휴업이 끝나는 시간이 운영 시간 안이면 휴업이 끝나는 시간', () => {
+    const closed = schedule({ closures: [{ startDateTime: at(19, 10), endDateTime: at(19, 14), reason: '점검' }] });
+    assert.deepStrictEqual(nextOpenAt(closed, at(19, 12)), at(19, 14));
+  });
+});
+
+describe('openTimeBetween', () => {
+  it('24시간 운영이면 구간 전체', () => {
+    assert.strictEqual(openTimeBetween(schedule(), at(19, 0), at(19, 10)), 10 * HOUR);
+  });
+
+  it('겹치는 휴업 구간은 한 번만 뺀다', () => {
+    const closed = schedule({
+      closures: [
+        { startDateTime: at(19, 2), endDateTime: at(19, 5), reason: '점검' },
+        { startDateTime: at(19, 4), endDateTime: at(19, 6), reason: '공사' },
+      ],
+    });
+    assert.strictEqual(openTimeBetween(closed, at(19, 0), at(19, 10)), 6 * HOUR);
+  });
+
+  it('운영 시간이 아닌 밤 시간은 세지 않는다', () => {
+    const daytime = schedule({ hours: everyDay('06:00', '22:00') });
+    assert.strictEqual(openTimeBetween(daytime, at(19, 20), at(20, 8)), 4 * HOUR);
+  });
+
+  it('자정을 넘기는 운영 시간도 이어서 센다', () => {
+    const overnight = schedule({ hours: everyDay('22:00', '02:00') });
+    assert.strictEqual(openTimeBetween(overnight, at(19, 0), at(21, 0)), 8 * HOUR);
+  });
+
+  it('문을 닫는 날은 세지 않는다', () => {
+    const holiday = schedule({ exceptions: [{ date: '2026-10-20', openTime: null, reason: '휴일' }] });
+    assert.strictEqual(openTimeBetween(holiday, at(19, 12), at(21, 12)), 24 * HOUR);
+  });
+
+  it('끝이 시작보다 빠르면 0', () => {
+    assert.strictEqual(openTimeBetween(schedule(), at(19, 10), at(19, 9)), 0);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+// 외부 API 없이 fake provider 로 캐시와 실패 처리를 확인한다
+process.env.WEATHER_PROVIDER = 'fake';
+process.env.WEATHER_TIMEOUT_MS = '50';
+const fakeWeatherProvider = require('../services/weather/fakeWeatherProvider');
+const {
+  registerWeatherProvider,
+  getStationWeather,
+  getStationForecast,
+  clearWeatherCache,
+} = require('../services/weather');
+const { forecastHours } = require('../config/weather');
+
+const station = { id: 1, latitude: '37.5547', longitude: '126.9707' };
+
+// fake provider 를 감싸서 호출 횟수를 세고, current 의 동작을 테스트마다 바꿀 수 있게 한다
+function countingProvider(current = fakeWeatherProvider.current) {
+  const calls = { current: 0, forecast: 0 };
+  registerWeatherProvider({
+    name: 'fake',
+    async current(options) {
+      calls.current++;
+      return current(options);
+    },
+    async forecast(options) {
+      calls.forecast++;
+      return fakeWeatherProvider.forecast(options);
+    },
+  });
+  return calls;
+}
+
+describe('weather service', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    clearWeatherCache();
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    registerWeatherProvider(fakeWeatherProvider);
+    console.error = consoleError;
+    delete process.env.FAKE_WEATHER_FAILURE;
+  });
+
+  it('한 번 가져온 날씨는 캐시에서 돌려준다', async () => {
+    const calls = countingProvider();
+    const first = await getStationWeather(station);
+    const second = await getStationWeather(station);
+    assert.strictEqual(first.available, true);
+    assert.strictEqual(first.temperature, 20);
+    assert.strictEqual(second, first);
+    assert.strictEqual(calls.current, 1);
+  });
+
+  it('같은 역을 동시에 조회해도 provider 는 한 번만 부른다', async () => {
+    const calls = countingProvider();
+    const results = await Promise.all(Array.from({ length: 5 }, () => getStationWeather(station)));
+    assert.strictEqual(calls.current, 1);
+    assert.ok(results.every((result) => result === results[0]));
+  });
+
+  it('좌표가 바뀐 역은 새로 가져온다', async () => {
+    const calls = countingProvider();
+    await getStationWeather(station);
+    await getStationWeather({ ...station, latitude: '37.5' });
+    assert.strictEqual(calls.current, 2);
+  });
+
+  it('provider 가 실패하면 에러 대신 unavailable 을 돌려주고 실패도 캐시한다', async () => {
+    process.env.FAKE_WEATHER_FAILURE = 'true';
+    const calls = countingProvider();
+    const weather = await getStationWeather(station);
+    const forecast = await getStationForecast(station);
+    assert.deepStrictEqual(weather, { available: false, message: '날씨 정보를 가져올 수 없습니다.' });
+    assert.strictEqual(forecast.available, false);
+    assert.deepStrictEqual(forecast.hours, []);
+
+    await getStationWeather(station);
+    assert.strictEqual(calls.current, 1);
+  });
+
+  it('provider 가 timeoutMs 안에 응답하지 않으면 unavailable', async () => {
+    let aborted = false;
+    countingProvider(
+      ({ signal }) =>
+        new Promise(() => {
+          signal.addEventListener('abort', () => {
+            aborted = true;
+          });
+        }),
+    );
+    const weather = await getStationWeather(station);
+    assert.strictEqual(weather.available, false);
+    assert.strictEqual(aborted, true);
+  });
+
+  it('예보는 forecastHours 시간만큼 예보 간격, 추천과 함께 돌려준다', async () => {
+    countingProvider();
+    const forecast = await getStationForecast(station);
+    assert.strictEqual(forecast.available, true);
+    assert.strictEqual(forecast.stepHours, 1);
+    assert.strictEqual(forecast.hours.length, forecastHours);
+    assert.strictEqual(forecast.recommendation, null);
+  });
+
+  it('3시간 단위 예보는 forecastHours 를 덮는 칸 수만큼 돌려준다', async () => {
+    registerWeatherProvider({
+      ...fakeWeatherProvider,
+      forecastStepHours: 3,
+      async forecast({ hours }) {
+        const hourly = await fakeWeatherProvider.forecast({ hours: hours * 3 });
+        return hourly.filter((hour, index) => index % 3 === 0);
+      },
+    });
+    const forecast = await getStationForecast(station);
+    assert.strictEqual(forecast.stepHours, 3);
+    assert.strictEqual(forecast.hours.length, Math.ceil(forecastHours / 3));
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const weatherRecommendation = require('../services/weather/recommendation');
+const { heavyRainMmPerHour, rainProbability, coldTemperature } = require('../config/weather');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-10-19T09:00:00');
+
+// 맑고 따뜻한 예보를 기본으로 하고 필요한 시간만 바꾼다
+function forecast(changes = {}) {
+  return Array.from({ length: 12 }, (_, index) => ({
+    time: new Date(start.getTime() + index * HOUR),
+    temperature: coldTemperature + 10,
+    precipitationProbability: 0,
+    precipitation: 0,
+    description: '맑음',
+    ...changes[index],
+  }));
+}
+
+describe('weatherRecommendation', () => {
+  it('예보가 없거나 맑고 따뜻하면 추천하지 않는다', () => {
+    assert.strictEqual(weatherRecommendation([]), null);
+    assert.strictEqual(weatherRecommendation(forecast()), null);
+  });
+
+  it('강한 비가 예보되면 large, 가장 먼저 오는 시간을 알려준다', () => {
+    const recommendation = weatherRecommendation(
+      forecast({ 3: { precipitation: heavyRainMmPerHour }, 5: { precipitation: heavyRainMmPerHour * 2 } }),
+    );
+    assert.strictEqual(recommendation.size, 'large');
+    assert.ok(recommendation.message.includes(new Date(start.getTime() + 3 * HOUR).toLocaleTimeString()));
+  });
+
+  it('강한 비는 아니어도 비 올 확률이 높으면 medium', () => {
+    const recommendation = weatherRecommendation(
+      forecast({ 2: { precipitationProbability: rainProbability, precipitation: heavyRainMmPerHour / 2 } }),
+    );
+    assert.strictEqual(recommendation.size, 'medium');
+    assert.match(recommendation.message, /비 소식/);
+  });
+
+  it('비 소식이 없어도 추우면 가장 낮은 기온과 함께 medium', () => {
+    const recommendation = weatherRecommendation(
+      forecast({ 1: { temperature: coldTemperature }, 4: { temperature: coldTemperature - 3 } }),
+    );
+    assert.strictEqual(recommendation.size, 'medium');
+    assert.ok(recommendation.message.includes(`${coldTemperature - 3}°C`));
+  });
+
+  it('강한 비와 추위가 함께 예보되면 강한 비를 먼저 본다', () => {
+    const recommendation = weatherRecommendation(
+      forecast({ 0: { temperature: coldTemperature - 5 }, 6: { precipitation: heavyRainMmPerHour } }),
+    );
+    assert.strictEqual(recommendation.size, 'large');
+  });
+});